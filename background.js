@@ -1,19 +1,397 @@
+importScripts('js/jiraApi.js', 'js/jiraConnections.js', 'js/timeTracker.js', 'js/snoozes.js');
+
+const POLL_ALARM = 'poll-tasks';
+const TIMER_ALARM = 'timer-tick';
+const SNOOZE_ALARM = 'snooze-wake';
+const TIMER_BADGE_COLOR = '#28a745';
+// Safety net so a huge query can't keep the service worker busy for long
+const MAX_POLL_PAGES = 10;
+const MAX_NOTIFICATIONS = 5;
+const QUICK_CREATE_MENUS = ['quick-create-selection', 'quick-create-page'];
+
+const jiraApi = new JiraConnections();
+const timeTracker = new TimeTracker();
+const snoozes = new Snoozes();
+
 chrome.action.onClicked.addListener((tab) => {
     chrome.sidePanel.open({ windowId: tab.windowId });
 });
 
+chrome.commands.onCommand.addListener((command, tab) => {
+    if (command === 'open-side-panel' && tab) {
+        chrome.sidePanel.open({ windowId: tab.windowId });
+    }
+});
+
 chrome.runtime.onInstalled.addListener(() => {
     chrome.sidePanel.setPanelBehavior({ openPanelOnActionClick: true });
+    createContextMenus();
+    schedulePolling();
+    syncTimerAlarm();
+    wakeSnoozedTasks();
+    updateBadge();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+    schedulePolling();
+    syncTimerAlarm();
+    // Snoozes that ran out while the browser was closed wake now
+    wakeSnoozedTasks();
+    updateBadge();
 });
 
 // Listen for settings updates and broadcast to all contexts
 chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
     if (request.action === 'settings-updated') {
+        schedulePolling();
+        updateBadge();
         // Broadcast to all tabs and the side panel
         chrome.runtime.sendMessage({ action: 'reload-tasks' }).catch(() => {
             // Ignore errors if no listeners
         });
         sendResponse({ received: true });
     }
+    
+    if (request.action === 'panel-opened') {
+        // Opening the panel counts as having seen every change so far
+        chrome.storage.local.set({ unseenChanges: 0 }, () => {
+            updateBadge();
+            sendResponse({ received: true });
+        });
+    }
     return true;
-});
\ No newline at end of file
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    if (!QUICK_CREATE_MENUS.includes(info.menuItemId) || !tab) return;
+    
+    // The side panel picks the draft up from storage, whether it is open already or opening now
+    chrome.storage.local.set({
+        quickCreateDraft: {
+            title: tab.title || '',
+            url: info.pageUrl || tab.url || '',
+            selection: info.selectionText || '',
+            requestedAt: Date.now()
+        }
+    });
+    // Must be called before anything is awaited, while the click still counts as a user gesture
+    chrome.sidePanel.open({ windowId: tab.windowId });
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === POLL_ALARM) {
+        pollTasks();
+    } else if (alarm.name === TIMER_ALARM) {
+        updateBadge();
+    } else if (alarm.name === SNOOZE_ALARM) {
+        wakeSnoozedTasks();
+    }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.timeTracking) {
+        syncTimerAlarm();
+        updateBadge();
+    }
+    if (areaName === 'local' && changes.snoozedTasks) {
+        syncSnoozeAlarm();
+        updateBadge();
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    // Issue notifications carry the issue URL in their id
+    const [type, url] = notificationId.split('|');
+    if (type === 'issue' && url) {
+        chrome.tabs.create({ url: url });
+    }
+    chrome.notifications.clear(notificationId);
+});
+
+// Menus persist across browser restarts, so they're only rebuilt on install and update
+function createContextMenus() {
+    chrome.contextMenus.removeAll(() => {
+        chrome.contextMenus.create({
+            id: 'quick-create-selection',
+            title: 'Create JIRA issue from selection',
+            contexts: ['selection']
+        });
+        chrome.contextMenus.create({
+            id: 'quick-create-page',
+            title: 'Create JIRA issue from page',
+            contexts: ['page']
+        });
+    });
+}
+
+function getPollSettings() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({
+            autoRefresh: true,
+            pollInterval: 5,
+            notifyAssigned: true,
+            notifyStatus: true,
+            notifyPriority: true,
+            notifyComments: true
+        }, resolve);
+    });
+}
+
+async function schedulePolling() {
+    const settings = await getPollSettings();
+    await chrome.alarms.clear(POLL_ALARM);
+    
+    if (settings.autoRefresh) {
+        chrome.alarms.create(POLL_ALARM, {
+            periodInMinutes: Math.max(1, settings.pollInterval)
+        });
+    }
+}
+
+async function pollTasks() {
+    try {
+        const settings = await getPollSettings();
+        await jiraApi.loadSettings(true);
+        
+        if (jiraApi.connections.length === 0) return;
+        
+        const currentUserIds = await jiraApi.getCurrentUserKeys();
+        const tasks = await fetchAllSavedQueries();
+        
+        const { pollSnapshot } = await chrome.storage.local.get('pollSnapshot');
+        const snapshot = createSnapshot(tasks);
+        await chrome.storage.local.set({ pollSnapshot: snapshot });
+        
+        // The first poll only records a baseline
+        const changes = pollSnapshot ? diffSnapshots(migrateSnapshot(pollSnapshot), snapshot, currentUserIds) : [];
+        notifyChanges(changes.filter(change => isNotificationEnabled(change.type, settings)));
+        
+        const panelOpen = await chrome.runtime.sendMessage({ action: 'tasks-polled' })
+            .then(() => true)
+            .catch(() => false);
+        
+        // Changes land in front of the user right away while the panel is open
+        if (!panelOpen && changes.length > 0) {
+            const { unseenChanges = 0 } = await chrome.storage.local.get('unseenChanges');
+            await chrome.storage.local.set({ unseenChanges: unseenChanges + changes.length });
+        }
+        
+        await updateBadge();
+    } catch (error) {
+        console.error('Background poll failed:', error.message);
+    }
+}
+
+async function fetchAllSavedQueries() {
+    const tasksByKey = new Map();
+    
+    for (const query of jiraApi.getSavedQueries()) {
+        let page = null;
+        let pageCount = 0;
+        
+        do {
+            const result = await jiraApi.searchTasks(false, query, page, ['comment']);
+            result.tasks.forEach(task => tasksByKey.set(task.uid, task));
+            result.errors.forEach(error => console.error('Background poll failed for', error));
+            page = result.nextPage;
+            pageCount++;
+        } while (page && pageCount < MAX_POLL_PAGES);
+    }
+    
+    return [...tasksByKey.values()];
+}
+
+function createSnapshot(tasks) {
+    const snapshot = {};
+    
+    tasks.forEach(task => {
+        snapshot[task.uid] = {
+            key: task.key,
+            connectionId: task.connectionId,
+            summary: task.summary,
+            url: task.url,
+            status: task.status.name,
+            statusCategory: task.status.category,
+            priority: task.priority.name,
+            assigneeId: task.assignee.id,
+            commentCount: task.comments?.total || 0,
+            lastCommentAuthorId: task.comments?.lastAuthorId || null,
+            lastCommentAuthorName: task.comments?.lastAuthorName || null
+        };
+    });
+    
+    return snapshot;
+}
+
+// Snapshots taken before multiple connections existed are keyed by issue key alone
+function migrateSnapshot(snapshot) {
+    const migrated = {};
+    
+    Object.entries(snapshot).forEach(([uid, issue]) => {
+        if (uid.includes(':')) {
+            migrated[uid] = issue;
+        } else {
+            migrated[`default:${uid}`] = { ...issue, key: uid, connectionId: 'default' };
+        }
+    });
+    
+    return migrated;
+}
+
+function diffSnapshots(previous, current, currentUserIds) {
+    const changes = [];
+    
+    Object.entries(current).forEach(([uid, issue]) => {
+        const before = previous[uid];
+        const currentUserId = currentUserIds[issue.connectionId];
+        const change = { key: issue.key, issue: issue };
+        
+        if (issue.assigneeId && issue.assigneeId === currentUserId && before?.assigneeId !== currentUserId) {
+            changes.push({ ...change, type: 'assigned', message: 'Assigned to you' });
+        }
+        
+        // Issues that just entered the results have nothing to compare against
+        if (!before) return;
+        
+        if (before.status !== issue.status) {
+            changes.push({ ...change, type: 'status', message: `Status: ${before.status} → ${issue.status}` });
+        }
+        
+        if (jiraApi.getPriorityRank(issue.priority) > jiraApi.getPriorityRank(before.priority)) {
+            changes.push({ ...change, type: 'priority', message: `Priority raised: ${before.priority} → ${issue.priority}` });
+        }
+        
+        if (issue.commentCount > before.commentCount && issue.lastCommentAuthorId !== currentUserId) {
+            const author = issue.lastCommentAuthorName || 'Someone';
+            changes.push({ ...change, type: 'comment', message: `${author} commented` });
+        }
+    });
+    
+    return changes;
+}
+
+function isNotificationEnabled(type, settings) {
+    return {
+        assigned: settings.notifyAssigned,
+        status: settings.notifyStatus,
+        priority: settings.notifyPriority,
+        comment: settings.notifyComments
+    }[type];
+}
+
+function notifyChanges(changes) {
+    changes.slice(0, MAX_NOTIFICATIONS).forEach(change => {
+        chrome.notifications.create(`issue|${change.issue.url}|${change.type}|${Date.now()}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon-128.png',
+            title: `${change.key}: ${change.message}`,
+            message: change.issue.summary,
+            priority: change.type === 'assigned' ? 2 : 0
+        });
+    });
+    
+    if (changes.length > MAX_NOTIFICATIONS) {
+        const remaining = changes.length - MAX_NOTIFICATIONS;
+        chrome.notifications.create(`summary|${Date.now()}`, {
+            type: 'basic',
+            iconUrl: 'icons/icon-128.png',
+            title: 'JIRA Todo',
+            message: `${remaining} more change${remaining !== 1 ? 's' : ''} to your issues`
+        });
+    }
+}
+
+// Waking removes the entries, which the side panel picks up to show the tasks again
+async function wakeSnoozedTasks() {
+    const woken = await snoozes.takeDue();
+    
+    woken.filter(entry => entry.notify).slice(0, MAX_NOTIFICATIONS).forEach(entry => {
+        // Personal todos have no page to open
+        const notificationId = entry.url ? `issue|${entry.url}|snoozed|${entry.uid}` : `snoozed|${entry.uid}`;
+        chrome.notifications.create(notificationId, {
+            type: 'basic',
+            iconUrl: 'icons/icon-128.png',
+            title: entry.key ? `${entry.key} is back from snooze` : 'Todo is back from snooze',
+            message: entry.summary || ''
+        });
+    });
+    
+    await syncSnoozeAlarm();
+}
+
+// One alarm for the earliest snooze; it's moved whenever the snoozes change
+async function syncSnoozeAlarm() {
+    await snoozes.load();
+    const nextWake = snoozes.getNextWake();
+    
+    if (nextWake) {
+        chrome.alarms.create(SNOOZE_ALARM, { when: nextWake });
+    } else {
+        await chrome.alarms.clear(SNOOZE_ALARM);
+    }
+}
+
+function getBadgeSettings() {
+    return new Promise((resolve) => {
+        chrome.storage.sync.get({
+            badgeMode: 'count',
+            badgeColor: '#667eea',
+            badgeAlertColor: '#d73a49',
+            badgeAlertPriority: 'highest'
+        }, resolve);
+    });
+}
+
+// Ticks once a minute while a timer runs so the badge shows the elapsed time
+async function syncTimerAlarm() {
+    await timeTracker.load();
+    
+    if (timeTracker.getRunningKey()) {
+        const existing = await chrome.alarms.get(TIMER_ALARM);
+        if (!existing) {
+            chrome.alarms.create(TIMER_ALARM, { periodInMinutes: 1 });
+        }
+    } else {
+        await chrome.alarms.clear(TIMER_ALARM);
+    }
+}
+
+async function updateBadge() {
+    await timeTracker.load();
+    const runningKey = timeTracker.getRunningKey();
+    
+    // A running timer takes over the badge
+    if (runningKey) {
+        await chrome.action.setBadgeText({ text: timeTracker.formatBadge(timeTracker.getElapsed(runningKey)) });
+        await chrome.action.setBadgeBackgroundColor({ color: TIMER_BADGE_COLOR });
+        await chrome.action.setTitle({ title: `Timer running on ${timeTracker.entries[runningKey].key}` });
+        return;
+    }
+    
+    await chrome.action.setTitle({ title: 'Open JIRA Todo Panel' });
+    
+    const settings = await getBadgeSettings();
+    const { pollSnapshot = {}, unseenChanges = 0 } = await chrome.storage.local.get(['pollSnapshot', 'unseenChanges']);
+    
+    // Snoozed issues are out of sight until they wake
+    await snoozes.load();
+    const openIssues = Object.entries(pollSnapshot)
+        .filter(([uid, issue]) => !(issue.statusCategory || '').toLowerCase().includes('done') && !snoozes.isSnoozed(uid))
+        .map(([, issue]) => issue);
+    
+    let text = '';
+    if (settings.badgeMode === 'count' && openIssues.length > 0) {
+        text = String(openIssues.length);
+    } else if (settings.badgeMode === 'changes' && unseenChanges > 0) {
+        text = String(unseenChanges);
+    }
+    
+    const alertRank = jiraApi.getPriorityRank(settings.badgeAlertPriority);
+    const hasAlert = settings.badgeAlertPriority !== 'none'
+        && openIssues.some(issue => jiraApi.getPriorityRank(issue.priority) >= alertRank);
+    
+    await chrome.action.setBadgeText({ text: text });
+    await chrome.action.setBadgeBackgroundColor({
+        color: hasAlert ? settings.badgeAlertColor : settings.badgeColor
+    });
+}
\ No newline at end of file
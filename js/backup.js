@@ -0,0 +1,482 @@
+// Exports settings and panel state to a JSON file and reads such files back, plus
+// Markdown/CSV exports of a tab's task list. API tokens, task caches, poll
+// snapshots and inbox read marks never go into a backup.
+const BACKUP_FORMAT = 'jira-todo-backup';
+const BACKUP_VERSION = 1;
+
+// Expected type of every synced setting a backup may carry; anything else in a file is ignored
+const BACKUP_SETTINGS = {
+    connections: 'array',
+    savedQueries: 'array',
+    maxTasks: 'number',
+    showInbox: 'boolean',
+    inboxDays: 'number',
+    showPriority: 'boolean',
+    showStatus: 'boolean',
+    cardFields: 'array',
+    cardCustomFields: 'array',
+    cardDensity: 'string',
+    autoRefresh: 'boolean',
+    pollInterval: 'number',
+    notifyAssigned: 'boolean',
+    notifyStatus: 'boolean',
+    notifyPriority: 'boolean',
+    notifyComments: 'boolean',
+    badgeMode: 'string',
+    badgeColor: 'string',
+    badgeAlertColor: 'string',
+    badgeAlertPriority: 'string',
+    // Single-connection and query settings from before connections and saved queries existed
+    jiraType: 'string',
+    jiraUrl: 'string',
+    username: 'string',
+    authMethod: 'string',
+    includeAssigned: 'boolean',
+    includeReviewer: 'boolean',
+    excludedStatuses: 'string'
+};
+
+// Side panel view state, always part of a backup
+const BACKUP_VIEW_KEYS = {
+    groupBy: 'string',
+    sortBy: 'string',
+    collapsedGroups: 'object',
+    taskFilters: 'object',
+    activeQueryId: 'string',
+    quickCreateDefaults: 'object'
+};
+
+// Only exported when asked for, since it's nobody else's business
+const BACKUP_PERSONAL_KEYS = {
+    taskOrders: 'object',
+    taskNotes: 'object',
+    localTodos: 'array',
+    timeTracking: 'object',
+    todayPlan: 'object',
+    pinnedTasks: 'array',
+    snoozedTasks: 'object'
+};
+
+const LEGACY_CONNECTION_KEYS = ['jiraType', 'jiraUrl', 'username', 'authMethod'];
+
+class Backup {
+    constructor() {
+        this.jiraApi = new JiraAPI();
+    }
+
+    /**
+     * Builds the backup object. Without personal data the result is meant for sharing:
+     * usernames are blanked so teammates fill in their own.
+     */
+    async create(includePersonal) {
+        const localKeys = includePersonal ? { ...BACKUP_VIEW_KEYS, ...BACKUP_PERSONAL_KEYS } : BACKUP_VIEW_KEYS;
+        const [settings, local] = await Promise.all([
+            this.read('sync', null),
+            this.read('local', Object.keys(localKeys))
+        ]);
+        
+        const exported = this.pick(settings, BACKUP_SETTINGS);
+        exported.connections = this.jiraApi.getConnections(settings).map(({ apiToken, ...connection }) => ({
+            ...connection,
+            username: includePersonal ? connection.username : ''
+        }));
+        LEGACY_CONNECTION_KEYS.forEach(key => delete exported[key]);
+        
+        return {
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            exportedAt: new Date().toISOString(),
+            settings: exported,
+            local: this.pick(local, localKeys)
+        };
+    }
+
+    // Throws with the first problem found; returns only the known parts of the file
+    validate(data) {
+        const fail = (message) => {
+            throw new Error(`Not a valid backup: ${message}`);
+        };
+        
+        if (!this.isObject(data) || data.format !== BACKUP_FORMAT) {
+            fail('this file was not exported by this extension');
+        }
+        if (typeof data.version !== 'number' || data.version > BACKUP_VERSION) {
+            fail('it was made by a newer version of the extension');
+        }
+        if (!this.isObject(data.settings)) {
+            fail('settings are missing');
+        }
+        
+        const local = this.isObject(data.local) ? data.local : {};
+        const checkTypes = (values, schema, path) => Object.keys(schema)
+            .filter(key => values[key] !== undefined)
+            .forEach(key => {
+                if (this.typeOf(values[key]) !== schema[key]) {
+                    fail(`${path}.${key} should be a${schema[key] === 'array' ? 'n' : ''} ${schema[key]}`);
+                }
+            });
+        
+        checkTypes(data.settings, BACKUP_SETTINGS, 'settings');
+        checkTypes(local, { ...BACKUP_VIEW_KEYS, ...BACKUP_PERSONAL_KEYS }, 'local');
+        
+        const settings = this.pick(data.settings, BACKUP_SETTINGS);
+        settings.connections = this.jiraApi.getConnections(settings);
+        LEGACY_CONNECTION_KEYS.forEach(key => delete settings[key]);
+        
+        settings.connections.forEach((connection, index) => {
+            if (!this.isObject(connection) || typeof connection.id !== 'string' || typeof connection.jiraUrl !== 'string') {
+                fail(`connection ${index + 1} needs an id and a JIRA URL`);
+            }
+            if (!['cloud', 'server'].includes(connection.jiraType)) {
+                fail(`connection ${index + 1} has an unknown JIRA type`);
+            }
+        });
+        
+        (settings.savedQueries || []).forEach((query, index) => {
+            if (!this.isObject(query) || typeof query.id !== 'string' || typeof query.name !== 'string') {
+                fail(`saved query ${index + 1} needs an id and a name`);
+            }
+            if (!['builder', 'jql'].includes(query.mode)) {
+                fail(`saved query "${query.name}" has an unknown mode`);
+            }
+        });
+        
+        if (Object.values(local.taskOrders || {}).some(order => !Array.isArray(order) || order.some(uid => typeof uid !== 'string'))) {
+            fail('task orders should be lists of task ids');
+        }
+        if (Object.values(local.taskNotes || {}).some(entry => !this.isObject(entry)
+            || typeof entry.note !== 'string' || !Array.isArray(entry.tags) || !Array.isArray(entry.checklist))) {
+            fail('a personal note is incomplete');
+        }
+        if ((local.localTodos || []).some(todo => !this.isObject(todo) || typeof todo.id !== 'string' || typeof todo.summary !== 'string')) {
+            fail('a personal todo is missing its id or text');
+        }
+        if (Object.values(local.timeTracking || {}).some(entry => !this.isObject(entry) || !Array.isArray(entry.sessions))) {
+            fail('tracked time is missing its sessions');
+        }
+        if (local.todayPlan && (typeof local.todayPlan.date !== 'string' || !Array.isArray(local.todayPlan.uids))) {
+            fail("today's plan needs a date and a list of task ids");
+        }
+        if ((local.pinnedTasks || []).some(uid => typeof uid !== 'string')) {
+            fail('pinned tasks should be a list of task ids');
+        }
+        if (Object.values(local.snoozedTasks || {}).some(entry => !this.isObject(entry) || typeof entry.until !== 'number')) {
+            fail('a snoozed task is missing its wake-up time');
+        }
+        
+        const restored = this.pick(local, { ...BACKUP_VIEW_KEYS, ...BACKUP_PERSONAL_KEYS });
+        Object.keys(BACKUP_VIEW_KEYS)
+            .filter(key => restored[key] !== undefined && !this.isValidViewState(key, restored[key]))
+            .forEach(key => delete restored[key]);
+        
+        return {
+            settings: settings,
+            local: restored
+        };
+    }
+
+    // View state only decides how the panel lays tasks out, so a value the panel can't use
+    // is left out of the import instead of failing it
+    isValidViewState(key, value) {
+        const isStringList = (list) => Array.isArray(list) && list.every(item => typeof item === 'string');
+        
+        switch (key) {
+            case 'groupBy':
+                return GROUP_BY_OPTIONS.includes(value);
+            case 'sortBy':
+                return SORT_BY_OPTIONS.includes(value);
+            case 'collapsedGroups':
+                return Object.values(value).every(isStringList);
+            case 'taskFilters':
+                // Filters saved before a dimension existed don't have it
+                return typeof value.search === 'string'
+                    && FILTER_DIMENSIONS.every(dimension => value[dimension.id] === undefined || isStringList(value[dimension.id]));
+            default:
+                return true;
+        }
+    }
+
+    // Replacing overwrites the synced settings and the panel state the file has a copy of;
+    // personal data a shared file leaves out stays. Merging keeps what's here.
+    async restore(data, mode) {
+        const backup = this.validate(data);
+        const localKeys = Object.keys({ ...BACKUP_VIEW_KEYS, ...BACKUP_PERSONAL_KEYS });
+        
+        if (mode === 'replace') {
+            const current = await this.read('sync', null);
+            await this.write('sync', backup.settings);
+            await this.write('local', backup.local);
+            
+            // Settings the file doesn't carry only go once it's in, so a failed write loses nothing
+            const stale = Object.keys(current).filter(key => !(key in backup.settings));
+            await new Promise((resolve) => chrome.storage.sync.remove(stale, resolve));
+            return;
+        }
+        
+        const [settings, local] = await Promise.all([
+            this.read('sync', null),
+            this.read('local', localKeys)
+        ]);
+        
+        const merged = this.mergeSettings(settings, backup.settings);
+        await new Promise((resolve) => chrome.storage.sync.remove(LEGACY_CONNECTION_KEYS, resolve));
+        await this.write('sync', merged.settings);
+        await this.write('local', this.mergeLocal(local, backup.local, merged.remapUid));
+    }
+
+    // Connections are matched by URL so a teammate's copy of our site isn't added twice;
+    // their queries are pointed at our connection instead. Imported queries win on the same id.
+    mergeSettings(current, imported) {
+        const connections = this.jiraApi.getConnections(current).map(connection => ({ ...connection }));
+        const connectionIds = {};
+        
+        imported.connections.forEach((connection, index) => {
+            const existing = connections.find(c => this.isSameUrl(c.jiraUrl, connection.jiraUrl));
+            if (existing) {
+                connectionIds[connection.id] = existing.id;
+                return;
+            }
+            
+            // Another site may have been saved under the same id elsewhere
+            const id = connections.some(c => c.id === connection.id) ? `c${Date.now().toString(36)}${index}` : connection.id;
+            connections.push({ ...connection, id: id });
+            connectionIds[connection.id] = id;
+        });
+        
+        const queries = this.jiraApi.getSavedQueries(current).map(query => ({ ...query }));
+        (imported.savedQueries || []).forEach(query => {
+            const remapped = {
+                ...query,
+                connectionIds: Array.isArray(query.connectionIds)
+                    ? [...new Set(query.connectionIds.map(id => connectionIds[id] || id))]
+                    : query.connectionIds
+            };
+            const index = queries.findIndex(q => q.id === query.id);
+            if (index === -1) {
+                queries.push(remapped);
+            } else {
+                queries[index] = remapped;
+            }
+        });
+        
+        // Task uids start with the connection id
+        const remapUid = (uid) => {
+            const separator = uid.indexOf(':');
+            const connectionId = uid.slice(0, separator);
+            return separator !== -1 && connectionIds[connectionId] ? `${connectionIds[connectionId]}${uid.slice(separator)}` : uid;
+        };
+        
+        return {
+            settings: { ...imported, connections: connections, savedQueries: queries },
+            remapUid: remapUid
+        };
+    }
+
+    mergeLocal(current, imported, remapUid) {
+        const merged = { ...current, ...this.pick(imported, BACKUP_VIEW_KEYS) };
+        const remapKeys = (entries) => Object.fromEntries(Object.entries(entries).map(([uid, value]) => [remapUid(uid), value]));
+        
+        if (imported.taskOrders) {
+            const orders = Object.fromEntries(Object.entries(imported.taskOrders).map(([queryId, order]) => [queryId, order.map(remapUid)]));
+            merged.taskOrders = { ...current.taskOrders, ...orders };
+        }
+        
+        // The more recently edited note wins
+        if (imported.taskNotes) {
+            merged.taskNotes = { ...current.taskNotes };
+            Object.entries(remapKeys(imported.taskNotes)).forEach(([uid, entry]) => {
+                if (!merged.taskNotes[uid] || (entry.updated || 0) > (merged.taskNotes[uid].updated || 0)) {
+                    merged.taskNotes[uid] = entry;
+                }
+            });
+        }
+        
+        if (imported.localTodos) {
+            const todoIds = new Set((current.localTodos || []).map(todo => todo.id));
+            merged.localTodos = [...(current.localTodos || []), ...imported.localTodos.filter(todo => !todoIds.has(todo.id))];
+        }
+        
+        // Tracked time already on this device is left alone
+        if (imported.timeTracking) {
+            merged.timeTracking = { ...remapKeys(imported.timeTracking), ...current.timeTracking };
+        }
+        
+        if (imported.pinnedTasks) {
+            merged.pinnedTasks = [...new Set([...(current.pinnedTasks || []), ...imported.pinnedTasks.map(remapUid)])];
+        }
+        
+        // Snoozes already on this device are left alone
+        if (imported.snoozedTasks) {
+            merged.snoozedTasks = { ...remapKeys(imported.snoozedTasks), ...current.snoozedTasks };
+        }
+        
+        // A plan for the same day is combined, otherwise the more recent one wins
+        if (imported.todayPlan) {
+            const plan = { ...imported.todayPlan, uids: imported.todayPlan.uids.map(remapUid) };
+            const currentPlan = current.todayPlan;
+            if (!currentPlan || plan.date > currentPlan.date) {
+                merged.todayPlan = plan;
+            } else if (plan.date === currentPlan.date) {
+                merged.todayPlan = { ...currentPlan, uids: [...new Set([...currentPlan.uids, ...plan.uids])] };
+            }
+        }
+        
+        return merged;
+    }
+
+    /**
+     * The tab's cached tasks as the side panel shows them: the Today section first, then the
+     * list in its order and groups. Snoozed tasks and tasks hidden by the filter bar are left out.
+     */
+    async getTaskList(queryId) {
+        const [settings, local] = await Promise.all([
+            this.read('sync', null),
+            this.read('local', [
+                'taskCache', 'taskOrders', 'sortBy', 'groupBy', 'taskFilters',
+                'localTodos', 'todayPlan', 'pinnedTasks', 'snoozedTasks', 'taskNotes'
+            ])
+        ]);
+        
+        const queries = this.jiraApi.getSavedQueries(settings);
+        const cached = local.taskCache?.[queryId];
+        const todos = new LocalTodos();
+        todos.todos = local.localTodos || [];
+        
+        const tasks = [
+            ...(cached?.tasks || []),
+            ...todos.getForQuery(queryId, queries.map(q => q.id)).map(todo => todos.toTask(todo))
+        ];
+        
+        if (tasks.length === 0) {
+            throw new Error('No tasks to export. Open this tab in the side panel once so its tasks are loaded.');
+        }
+        
+        const notes = new PersonalNotes();
+        notes.entries = local.taskNotes || {};
+        const snoozes = new Snoozes();
+        snoozes.entries = local.snoozedTasks || {};
+        const view = new TaskView(this.jiraApi, notes, new DocumentRenderer());
+        
+        const { today, list } = view.arrange(tasks, {
+            order: local.taskOrders?.[queryId] || [],
+            sortBy: local.sortBy,
+            plannedUids: local.todayPlan?.uids || [],
+            pinnedUids: local.pinnedTasks || [],
+            isSnoozed: (uid) => snoozes.isSnoozed(uid)
+        });
+        
+        const groupBy = local.groupBy || 'none';
+        const filters = { ...view.getEmptyFilters(), ...local.taskFilters };
+        const sections = [
+            { label: 'Today', tasks: today },
+            ...(groupBy === 'none' ? [{ label: 'Tasks', tasks: list }] : view.group(list, groupBy))
+        ]
+            .map(section => ({ label: section.label, tasks: section.tasks.filter(task => view.matchesFilters(task, filters)) }))
+            .filter(section => section.tasks.length > 0);
+        
+        if (sections.length === 0) {
+            throw new Error('No tasks to export. Every task in this tab is snoozed or hidden by the side panel filters.');
+        }
+        
+        return {
+            name: queries.find(q => q.id === queryId)?.name || 'Tasks',
+            sections: sections
+        };
+    }
+
+    // Sections get headings when there's more than the plain list
+    toMarkdown(list) {
+        const line = (task) => {
+            const done = task.status.category.toLowerCase().includes('done') ? 'x' : ' ';
+            const title = task.isLocal ? this.escapeMarkdown(task.summary) : `[${task.key}](${task.url}) ${this.escapeMarkdown(task.summary)}`;
+            const details = task.isLocal
+                ? ['Personal todo']
+                : [task.status.name, task.priority.name, task.assignee?.displayName];
+            
+            if (task.dueDate) details.push(`due ${task.dueDate}`);
+            if (task.sprint) details.push(task.sprint.name);
+            
+            return `- [${done}] ${title} (${details.filter(Boolean).map(detail => this.escapeMarkdown(detail)).join(' · ')})`;
+        };
+        
+        const body = list.sections.map(section => {
+            const lines = section.tasks.map(line).join('\n');
+            return list.sections.length > 1 ? `## ${this.escapeMarkdown(section.label)}\n\n${lines}` : lines;
+        });
+        
+        return `# ${this.escapeMarkdown(list.name)}\n\nExported ${new Date().toLocaleString()}\n\n${body.join('\n\n')}\n`;
+    }
+
+    toCsv(list) {
+        const columns = [
+            ['Section', (task, section) => section.label],
+            ['Key', task => task.key],
+            ['Summary', task => task.summary],
+            ['Status', task => task.status.name],
+            ['Priority', task => task.isLocal ? '' : task.priority.name],
+            ['Type', task => task.type.name],
+            ['Project', task => task.project?.key || ''],
+            ['Assignee', task => task.assignee?.displayName || ''],
+            ['Due date', task => task.dueDate || ''],
+            ['Sprint', task => task.sprint?.name || ''],
+            ['Fix versions', task => (task.fixVersions || []).join(', ')],
+            ['Story points', task => task.storyPoints ?? ''],
+            ['Labels', task => (task.labels || []).join(', ')],
+            ['URL', task => task.url || '']
+        ];
+        
+        const cell = (value) => {
+            // Spreadsheets run cells starting with these as formulas; JIRA values are anyone's input
+            const text = /^[=+\-@\t\r]/.test(String(value)) ? `'${value}` : String(value);
+            return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        
+        return [
+            columns.map(([label]) => cell(label)).join(','),
+            ...list.sections.flatMap(section => section.tasks.map(task => columns.map(([, value]) => cell(value(task, section))).join(',')))
+        ].join('\r\n');
+    }
+
+    escapeMarkdown(text) {
+        return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+    }
+
+    isSameUrl(a, b) {
+        const normalize = (url) => (url || '').trim().replace(/\/+$/, '').toLowerCase();
+        return normalize(a) !== '' && normalize(a) === normalize(b);
+    }
+
+    isObject(value) {
+        return this.typeOf(value) === 'object';
+    }
+
+    typeOf(value) {
+        if (Array.isArray(value)) return 'array';
+        if (value === null) return 'null';
+        return typeof value;
+    }
+
+    pick(values, schema) {
+        return Object.fromEntries(Object.keys(schema)
+            .filter(key => values[key] !== undefined)
+            .map(key => [key, values[key]]));
+    }
+
+    read(area, keys) {
+        return new Promise((resolve) => {
+            chrome.storage[area].get(keys, resolve);
+        });
+    }
+
+    write(area, values) {
+        return new Promise((resolve, reject) => {
+            chrome.storage[area].set(values, () => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve();
+                }
+            });
+        });
+    }
+}
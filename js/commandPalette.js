@@ -0,0 +1,113 @@
+// A filterable list of panel actions. The side panel hands over a fresh command list each
+// time it opens, so only actions that fit the current view and selection are offered.
+// Commands are { label, key?, run }; `key` is only displayed here.
+class CommandPalette {
+    constructor(element) {
+        this.element = element;
+        this.input = element.querySelector('.command-input');
+        this.list = element.querySelector('.command-list');
+        this.commands = [];
+        this.matches = [];
+        this.activeIndex = 0;
+        this.returnFocus = null;
+        
+        this.input.addEventListener('input', () => this.render());
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.run(this.matches[Number(item.dataset.index)]);
+            }
+        });
+        // Clicking the backdrop dismisses the palette
+        element.addEventListener('click', (e) => {
+            if (e.target === element) this.close();
+        });
+    }
+
+    isOpen() {
+        return !this.element.classList.contains('hidden');
+    }
+
+    open(commands) {
+        this.commands = commands;
+        this.returnFocus = document.activeElement;
+        this.input.value = '';
+        this.element.classList.remove('hidden');
+        this.render();
+        this.input.focus();
+    }
+
+    close() {
+        this.element.classList.add('hidden');
+        
+        if (this.returnFocus?.isConnected) {
+            this.returnFocus.focus();
+        }
+        this.returnFocus = null;
+    }
+
+    // Every typed word has to appear in the label
+    render() {
+        const terms = this.input.value.toLowerCase().split(/\s+/).filter(Boolean);
+        this.matches = this.commands.filter(command => terms.every(term => command.label.toLowerCase().includes(term)));
+        this.activeIndex = 0;
+        
+        if (this.matches.length === 0) {
+            this.list.innerHTML = '<li class="command-empty">No matching commands</li>';
+            return;
+        }
+        
+        this.list.innerHTML = this.matches.map((command, index) => `
+            <li class="command-item ${index === this.activeIndex ? 'active' : ''}" data-index="${index}">
+                <span>${this.escapeHtml(command.label)}</span>
+                ${command.key ? `<kbd>${this.escapeHtml(this.formatKey(command.key))}</kbd>` : ''}
+            </li>
+        `).join('');
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.matches.length) % this.matches.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.run(this.matches[this.activeIndex]);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        }
+    }
+
+    setActive(index) {
+        if (this.matches.length === 0) return;
+        
+        this.activeIndex = index;
+        this.list.querySelectorAll('.command-item').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.index) === index);
+        });
+        this.list.querySelector('.command-item.active').scrollIntoView({ block: 'nearest' });
+    }
+
+    run(command) {
+        if (!command) return;
+        
+        this.close();
+        command.run();
+    }
+
+    // Keys are stored as KeyboardEvent.key values, optionally prefixed with "alt+"
+    formatKey(key) {
+        return key
+            .replace('alt+', 'Alt+')
+            .replace('ArrowUp', '↑')
+            .replace('ArrowDown', '↓');
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
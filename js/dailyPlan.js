@@ -0,0 +1,117 @@
+// The "Today" list: task uids pulled into today's plan, shared by all query tabs, plus a
+// snapshot per day of whether each task seen that day was done. Both live in
+// chrome.storage.local. A plan dated before today means the day has rolled over and the
+// user still has to pick what carries over; comparing a day's snapshot with the one
+// before it tells what moved to Done.
+class DailyPlan {
+    constructor() {
+        this.plan = { date: null, uids: [] };
+        this.snapshots = {};
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['todayPlan', 'taskSnapshots'], (result) => {
+                this.plan = result.todayPlan || { date: this.getToday(), uids: [] };
+                this.snapshots = result.taskSnapshots || {};
+                resolve(this.plan);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ todayPlan: this.plan }, resolve);
+        });
+    }
+
+    // Local calendar day as YYYY-MM-DD, so the day turns over at the user's midnight
+    getToday(now = new Date()) {
+        const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 10);
+    }
+
+    needsRollover() {
+        return this.plan.date !== this.getToday();
+    }
+
+    has(uid) {
+        return this.plan.uids.includes(uid);
+    }
+
+    async add(uid) {
+        if (this.has(uid)) return;
+        
+        this.plan.uids.push(uid);
+        await this.save();
+    }
+
+    async remove(uid) {
+        this.plan.uids = this.plan.uids.filter(existing => existing !== uid);
+        await this.save();
+    }
+
+    // The panel only shows one tab's tasks; planned tasks from other tabs keep their place at the end
+    async arrange(shownUids, loadedUids) {
+        const loaded = new Set(loadedUids);
+        this.plan.uids = [...shownUids, ...this.plan.uids.filter(uid => !loaded.has(uid))];
+        await this.save();
+    }
+
+    async startDay(carriedUids) {
+        this.plan = { date: this.getToday(), uids: carriedUids };
+        await this.save();
+    }
+
+    // Merged into the day's snapshot rather than replacing it, so tasks seen in other tabs,
+    // or that dropped out of the results once done, still count for the day.
+    // Tasks that were open at any point of the day are marked as such.
+    async record(tasks) {
+        // Panels in other windows record too
+        this.snapshots = await new Promise((resolve) => {
+            chrome.storage.local.get(['taskSnapshots'], (result) => resolve(result.taskSnapshots || {}));
+        });
+        
+        const today = this.getToday();
+        const snapshot = this.snapshots[today] || {};
+        
+        tasks.forEach(task => {
+            const done = this.isDone(task);
+            snapshot[task.uid] = {
+                key: task.key,
+                summary: task.summary,
+                done: done,
+                opened: Boolean(snapshot[task.uid]?.opened) || !done
+            };
+        });
+        
+        this.snapshots[today] = snapshot;
+        // Only the days a summary can still be asked for are kept
+        Object.keys(this.snapshots).sort().reverse().slice(3).forEach(date => delete this.snapshots[date]);
+        
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ taskSnapshots: this.snapshots }, resolve);
+        });
+    }
+
+    isDone(task) {
+        return task.isLocal ? task.done : /done|complete/i.test(task.status.category);
+    }
+
+    // The most recent state recorded for a task, for planned tasks that aren't loaded anywhere
+    getLastSeen(uid) {
+        const date = Object.keys(this.snapshots).sort().reverse().find(day => this.snapshots[day][uid]);
+        return date ? this.snapshots[date][uid] : null;
+    }
+
+    // Tasks that were done by the end of the day but open at some point that day or the day before
+    getMovedToDone(date) {
+        const snapshot = this.snapshots[date] || {};
+        const previousDate = Object.keys(this.snapshots).sort().reverse().find(day => day < date);
+        const previous = this.snapshots[previousDate] || {};
+        
+        return Object.entries(snapshot)
+            .filter(([uid, entry]) => entry.done && (entry.opened || previous[uid]?.done === false))
+            .map(([uid, entry]) => ({ uid, ...entry }));
+    }
+}
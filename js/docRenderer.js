@@ -0,0 +1,322 @@
+// Turns JIRA rich text into HTML that is safe to drop into the panel.
+// Cloud (REST v3) sends Atlassian Document Format, Server (REST v2) sends wiki markup.
+// Every piece of text is escaped and only http(s)/mailto links survive.
+class DocumentRenderer {
+    render(content, format) {
+        if (!content) return '';
+        
+        if (format === 'adf' || typeof content === 'object') {
+            return this.renderAdf(content);
+        }
+        
+        return this.renderWiki(content);
+    }
+
+    renderAdf(node) {
+        if (!node) return '';
+        
+        const children = () => (node.content || []).map(child => this.renderAdf(child)).join('');
+        const attrs = node.attrs || {};
+        
+        switch (node.type) {
+            case 'doc':
+                return children();
+            case 'paragraph':
+                return `<p>${children()}</p>`;
+            case 'text':
+                return this.applyAdfMarks(this.escapeHtml(node.text || ''), node.marks || []);
+            case 'hardBreak':
+                return '<br>';
+            case 'heading': {
+                const level = Math.min(6, Math.max(1, parseInt(attrs.level, 10) || 1));
+                return `<h${level}>${children()}</h${level}>`;
+            }
+            case 'bulletList':
+                return `<ul>${children()}</ul>`;
+            case 'orderedList':
+                return `<ol>${children()}</ol>`;
+            case 'listItem':
+                return `<li>${children()}</li>`;
+            case 'taskList':
+                return `<ul class="doc-task-list">${children()}</ul>`;
+            case 'taskItem':
+                return `<li>${attrs.state === 'DONE' ? '☑' : '☐'} ${children()}</li>`;
+            case 'codeBlock':
+                return `<pre><code>${(node.content || []).map(child => this.escapeHtml(child.text || '')).join('')}</code></pre>`;
+            case 'blockquote':
+                return `<blockquote>${children()}</blockquote>`;
+            case 'panel':
+                return `<div class="doc-panel">${children()}</div>`;
+            case 'rule':
+                return '<hr>';
+            case 'table':
+                return `<table>${children()}</table>`;
+            case 'tableRow':
+                return `<tr>${children()}</tr>`;
+            case 'tableHeader':
+                return `<th>${children()}</th>`;
+            case 'tableCell':
+                return `<td>${children()}</td>`;
+            case 'mention':
+                return `<span class="doc-mention">@${this.escapeHtml((attrs.text || 'user').replace(/^@/, ''))}</span>`;
+            case 'emoji':
+                return this.escapeHtml(attrs.text || attrs.shortName || '');
+            case 'status':
+                return `<span class="doc-status">${this.escapeHtml(attrs.text || '')}</span>`;
+            case 'date':
+                return this.escapeHtml(attrs.timestamp ? new Date(parseInt(attrs.timestamp, 10)).toLocaleDateString() : '');
+            case 'inlineCard':
+            case 'blockCard':
+                return this.renderLink(attrs.url, attrs.url);
+            case 'mediaSingle':
+            case 'mediaGroup':
+            case 'media':
+                return '<span class="doc-placeholder">[attachment]</span>';
+            default:
+                // Unknown nodes still carry readable text in their children
+                return children();
+        }
+    }
+
+    // Text content only, used for searching and for excerpts
+    getPlainText(content) {
+        if (!content) return '';
+        
+        if (typeof content === 'object') {
+            // Mentions, emoji and status lozenges keep their text in attrs
+            const collect = (node) => [node.text || node.attrs?.text || '', ...(node.content || []).map(collect)].join(' ');
+            return collect(content);
+        }
+        
+        // Wiki markup is rendered and the tags dropped, so `*bold*` or `[~user]` read as text;
+        // block tags leave a space so paragraphs and cells don't run together
+        const html = this.renderWiki(content)
+            .replace(/<\/?(?:a|span|strong|em|del|u|code|sub|sup)\b[^>]*>/g, '')
+            .replace(/<[^>]*>/g, ' ');
+        return this.unescapeHtml(html);
+    }
+
+    applyAdfMarks(html, marks) {
+        return marks.reduce((result, mark) => {
+            switch (mark.type) {
+                case 'strong':
+                    return `<strong>${result}</strong>`;
+                case 'em':
+                    return `<em>${result}</em>`;
+                case 'strike':
+                    return `<del>${result}</del>`;
+                case 'underline':
+                    return `<u>${result}</u>`;
+                case 'code':
+                    return `<code>${result}</code>`;
+                case 'subsup':
+                    return mark.attrs?.type === 'sub' ? `<sub>${result}</sub>` : `<sup>${result}</sup>`;
+                case 'link':
+                    return this.renderLink(mark.attrs?.href, result, true);
+                default:
+                    return result;
+            }
+        }, html);
+    }
+
+    renderWiki(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let listStack = [];
+        let tableRows = [];
+        
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.renderWikiInline(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            while (listStack.length > 0) {
+                blocks.push(`</li></${listStack.pop()}>`);
+            }
+        };
+        const flushTable = () => {
+            if (tableRows.length > 0) {
+                blocks.push(`<table>${tableRows.join('')}</table>`);
+                tableRows = [];
+            }
+        };
+        const flushAll = () => {
+            flushParagraph();
+            flushList();
+            flushTable();
+        };
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const trimmed = line.trim();
+            
+            // Preformatted blocks are copied verbatim up to their closing tag
+            const preformatted = trimmed.match(/^\{(code|noformat)(?::[^}]*)?\}(.*)$/);
+            if (preformatted) {
+                flushAll();
+                const closing = new RegExp(`\\{${preformatted[1]}\\}`);
+                const body = [];
+                let rest = preformatted[2];
+                
+                while (i < lines.length) {
+                    const end = rest.search(closing);
+                    if (end !== -1) {
+                        body.push(rest.slice(0, end));
+                        break;
+                    }
+                    body.push(rest);
+                    i++;
+                    rest = lines[i] ?? '';
+                }
+                
+                blocks.push(`<pre><code>${this.escapeHtml(body.join('\n').replace(/^\n|\n$/g, ''))}</code></pre>`);
+                continue;
+            }
+            
+            if (trimmed === '{quote}') {
+                flushAll();
+                const body = [];
+                i++;
+                while (i < lines.length && lines[i].trim() !== '{quote}') {
+                    body.push(lines[i]);
+                    i++;
+                }
+                blocks.push(`<blockquote>${this.renderWiki(body.join('\n'))}</blockquote>`);
+                continue;
+            }
+            
+            const heading = trimmed.match(/^h([1-6])\.\s+(.*)$/);
+            if (heading) {
+                flushAll();
+                blocks.push(`<h${heading[1]}>${this.renderWikiInline(heading[2])}</h${heading[1]}>`);
+                continue;
+            }
+            
+            const quote = trimmed.match(/^bq\.\s+(.*)$/);
+            if (quote) {
+                flushAll();
+                blocks.push(`<blockquote><p>${this.renderWikiInline(quote[1])}</p></blockquote>`);
+                continue;
+            }
+            
+            if (/^-{4,}$/.test(trimmed)) {
+                flushAll();
+                blocks.push('<hr>');
+                continue;
+            }
+            
+            const listItem = trimmed.match(/^([*#-]+)\s+(.*)$/);
+            if (listItem) {
+                flushParagraph();
+                flushTable();
+                const markers = listItem[1];
+                const depth = markers.length;
+                const tag = markers[markers.length - 1] === '#' ? 'ol' : 'ul';
+                
+                while (listStack.length > depth) {
+                    blocks.push(`</li></${listStack.pop()}>`);
+                }
+                if (listStack.length === depth && listStack[depth - 1] !== tag) {
+                    blocks.push(`</li></${listStack.pop()}>`);
+                }
+                if (listStack.length === depth) {
+                    blocks.push('</li>');
+                }
+                while (listStack.length < depth) {
+                    listStack.push(tag);
+                    blocks.push(`<${tag}>`);
+                }
+                
+                blocks.push(`<li>${this.renderWikiInline(listItem[2])}`);
+                continue;
+            }
+            
+            if (trimmed.startsWith('|')) {
+                flushParagraph();
+                flushList();
+                const isHeader = trimmed.startsWith('||');
+                const cells = trimmed
+                    .replace(/^\|\|?/, '')
+                    .replace(/\|\|?$/, '')
+                    .split(isHeader ? '||' : '|');
+                const tag = isHeader ? 'th' : 'td';
+                tableRows.push(`<tr>${cells.map(cell => `<${tag}>${this.renderWikiInline(cell.trim())}</${tag}>`).join('')}</tr>`);
+                continue;
+            }
+            
+            if (!trimmed) {
+                flushAll();
+                continue;
+            }
+            
+            flushList();
+            flushTable();
+            paragraph.push(line);
+        }
+        
+        flushAll();
+        return blocks.join('');
+    }
+
+    renderWikiInline(text) {
+        // Code spans and links are set aside first so formatting can't reach into them
+        const stash = [];
+        const keep = (html) => {
+            stash.push(html);
+            return `\u0000${stash.length - 1}\u0000`;
+        };
+        
+        const html = this.escapeHtml(text)
+            .replace(/\{\{(.+?)\}\}/g, (_match, code) => keep(`<code>${code}</code>`))
+            .replace(/\[~([^\]]+)\]/g, (_match, user) => keep(`<span class="doc-mention">@${user.replace(/^accountid:/, '')}</span>`))
+            .replace(/\[([^\]|]+)\|([^\]]+)\]/g, (_match, label, url) => keep(this.renderLink(this.unescapeHtml(url), label, true)))
+            .replace(/\[((?:https?:|mailto:)[^\]]+)\]/g, (_match, url) => keep(this.renderLink(this.unescapeHtml(url), url, true)))
+            .replace(/!([^!\s][^!]*)!/g, () => keep('<span class="doc-placeholder">[image]</span>'))
+            .replace(/(^|[^\w*])\*(\S(?:.*?\S)?)\*(?![\w*])/g, '$1<strong>$2</strong>')
+            .replace(/(^|[^\w_])_(\S(?:.*?\S)?)_(?![\w_])/g, '$1<em>$2</em>')
+            .replace(/(^|\s)-(\S(?:.*?\S)?)-(?=\s|$)/g, '$1<del>$2</del>')
+            .replace(/(^|[^\w+])\+(\S(?:.*?\S)?)\+(?![\w+])/g, '$1<u>$2</u>')
+            .replace(/\\\\/g, '<br>');
+        
+        return html.replace(/\u0000(\d+)\u0000/g, (_match, index) => stash[index]);
+    }
+
+    // Pass labelIsHtml when the label has already been escaped or formatted
+    renderLink(url, label, labelIsHtml = false) {
+        const safeUrl = this.getSafeUrl(url);
+        const labelHtml = labelIsHtml ? label : this.escapeHtml(label || url || '');
+        
+        if (!safeUrl) return labelHtml;
+        return `<a href="${this.escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+    }
+
+    getSafeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return ['http:', 'https:', 'mailto:'].includes(parsed.protocol) ? parsed.href : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    unescapeHtml(text) {
+        return text
+            .replace(/&#39;/g, "'")
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
+    }
+}
\ No newline at end of file
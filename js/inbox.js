@@ -0,0 +1,74 @@
+// Issues I watch or was mentioned on, listed apart from assigned work. The issues are
+// fetched fresh each time; only when each one was last read is kept, in
+// chrome.storage.local keyed by task uid. An item is unread when it has seen activity
+// since it was last read, so a new comment brings a read issue back.
+class Inbox {
+    constructor() {
+        this.items = [];
+        this.reads = {};
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['inboxReads'], (result) => {
+                this.reads = result.inboxReads || {};
+                resolve(this.reads);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ inboxReads: this.reads }, resolve);
+        });
+    }
+
+    setItems(items) {
+        this.items = items;
+    }
+
+    find(uid) {
+        return this.items.find(item => item.uid === uid) || null;
+    }
+
+    isUnread(item) {
+        return new Date(item.inbox.activityAt).getTime() > (this.reads[item.uid] || 0);
+    }
+
+    getUnreadCount() {
+        return this.items.filter(item => this.isUnread(item)).length;
+    }
+
+    async markRead(uid) {
+        const item = this.find(uid);
+        if (!item || !this.isUnread(item)) return false;
+        
+        // Panels in other windows mark items read too
+        await this.load();
+        this.reads[uid] = Date.now();
+        this.prune();
+        await this.save();
+        return true;
+    }
+
+    async markAllRead() {
+        await this.load();
+        
+        const now = Date.now();
+        this.items.forEach(item => {
+            this.reads[item.uid] = now;
+        });
+        this.prune();
+        await this.save();
+    }
+
+    // Issues only stay in the inbox while they have recent activity, so old read times can go
+    prune(now = Date.now()) {
+        const cutoff = now - 90 * 24 * 60 * 60 * 1000;
+        Object.keys(this.reads).forEach(uid => {
+            if (this.reads[uid] < cutoff && !this.find(uid)) {
+                delete this.reads[uid];
+            }
+        });
+    }
+}
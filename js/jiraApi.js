@@ -1,8 +1,78 @@
-class JiraAPI {
+// Failed JIRA requests are thrown as one of these so callers can tell the causes apart.
+// `guidance` is a hint on what to do about it, shown below the message in the panel;
+// `detail` is JIRA's own explanation, when the response carried one.
+class JiraError extends Error {
+    static guidance = '';
+
+    constructor(message, { status = null, guidance = null, detail = '' } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.guidance = guidance ?? this.constructor.guidance;
+        this.detail = detail;
+    }
+}
+
+class JiraAuthError extends JiraError {
+    static guidance = 'Browser sessions expire after a while. If logging in again doesn\'t help, switch the connection to a token in the settings.';
+}
+
+class JiraPermissionError extends JiraError {
+    static guidance = 'Ask a JIRA administrator for access, or limit the query to projects you can see.';
+}
+
+class JiraNotFoundError extends JiraError {
+    static guidance = 'Check the JIRA URL in the settings, and that the issue or project still exists.';
+}
+
+class JiraRateLimitError extends JiraError {
+    static guidance = 'The request was already retried. Wait a minute before refreshing, or check for changes less often in the settings.';
+
+    constructor(message, { retryAfter = null, ...options } = {}) {
+        super(message, { status: 429, ...options });
+        // Seconds JIRA asked us to wait, when it said
+        this.retryAfter = retryAfter;
+    }
+}
+
+class JiraNetworkError extends JiraError {
+    static guidance = 'Check your network or VPN connection, and that the JIRA URL in the settings is correct.';
+}
+
+class JiraTimeoutError extends JiraNetworkError {
+    static guidance = 'JIRA may be busy or unreachable. Try again in a moment, or check your network or VPN connection.';
+}
+
+// Thrown when the caller aborted the request, usually because a newer one replaced it.
+// Not a failure, so it is never shown.
+class JiraCancelledError extends JiraError {
     constructor() {
+        super('Request cancelled');
+    }
+}
+
+// Talks to a single JIRA connection. With no connection id the first configured one is used.
+class JiraAPI {
+    // Optional card fields shown until the layout is changed in the options page.
+    // Priority and status have their own showPriority/showStatus settings.
+    static DEFAULT_CARD_FIELDS = ['type', 'dueDate', 'sprint', 'fixVersions', 'storyPoints'];
+
+    constructor(connectionId = null) {
+        this.connectionId = connectionId;
+        this.connection = null;
         this.settings = null;
         // Set to false for production - prevents sensitive data logging
         this.DEBUG = false;
+        // Request layer tuning, see request()
+        this.timeout = 20000;
+        this.maxRetries = 3;
+        this.retryDelay = 1000;
+        this.maxRetryWait = 60000;
+        // Looked up once per connection, see getCustomFieldIds and getCurrentUser.
+        // Both are dropped when loadSettings sees the site or account change.
+        this.customFieldIds = null;
+        this.currentUserRequest = null;
+        this.identity = null;
     }
 
     async loadSettings(forceReload = false) {
@@ -18,35 +88,330 @@ class JiraAPI {
                 includeAssigned: true,
                 includeReviewer: false,
                 excludedStatuses: 'Done, Closed, Resolved',
+                authMethod: 'session',
+                connections: [],
+                savedQueries: [],
                 maxTasks: 50
             }, (settings) => {
-                this.settings = settings;
-                resolve(settings);
+                const connections = this.getConnections(settings);
+                this.connection = connections.find(c => c.id === this.connectionId) || connections[0] || null;
+                
+                // Tokens are kept on this device only, never synced with the browser profile
+                chrome.storage.local.get({ apiTokens: {}, apiToken: '' }, (secrets) => {
+                    const connectionId = this.connection?.id;
+                    const apiToken = secrets.apiTokens[connectionId]
+                        ?? (connectionId === 'default' ? secrets.apiToken : '');
+                    
+                    this.settings = {
+                        ...settings,
+                        jiraUrl: '',
+                        ...this.connection,
+                        apiToken: apiToken || ''
+                    };
+                    
+                    const identity = ['jiraType', 'jiraUrl', 'username', 'authMethod', 'apiToken']
+                        .map(key => this.settings[key]).join('\n');
+                    if (identity !== this.identity) {
+                        this.identity = identity;
+                        this.customFieldIds = null;
+                        this.currentUserRequest = null;
+                    }
+                    
+                    resolve(this.settings);
+                });
             });
         });
     }
 
-    async getCurrentUser() {
-        await this.loadSettings();
+    // Points this instance at a connection as it is being edited in the options page,
+    // before it has been saved
+    useConnection(connection, apiToken = '') {
+        this.connection = connection;
+        this.settings = { ...connection, apiToken: apiToken };
+        return this;
+    }
+
+    // Settings saved before multiple connections existed describe a single one at the top level
+    getConnections(settings = this.settings) {
+        if (Array.isArray(settings.connections) && settings.connections.length > 0) {
+            return settings.connections;
+        }
         
-        if (!this.settings.jiraUrl) {
-            throw new Error('JIRA URL not configured');
+        if (!settings.jiraUrl) return [];
+        
+        let name = settings.jiraUrl;
+        try {
+            name = new URL(settings.jiraUrl).hostname;
+        } catch (error) {
+            // Keep the raw URL as the name
         }
+        
+        return [{
+            id: 'default',
+            name: name,
+            color: '#667eea',
+            jiraType: settings.jiraType,
+            jiraUrl: settings.jiraUrl,
+            username: settings.username,
+            authMethod: settings.authMethod,
+            jqlFilter: ''
+        }];
+    }
+
+    getBaseUrl() {
+        return this.settings.jiraUrl.replace(/\/$/, '');
+    }
+
+    // Cloud speaks REST v3, Server/Data Center v2
+    getApiPath(resource) {
+        const version = this.settings.jiraType === 'cloud' ? '3' : '2';
+        return `/rest/api/${version}/${resource}`;
+    }
 
-        const baseUrl = this.settings.jiraUrl.replace(/\/$/, '');
-        const apiPath = this.settings.jiraType === 'cloud' ? '/rest/api/3/myself' : '/rest/api/2/myself';
+    // Cloud takes basic auth with email + API token, Server/Data Center a Bearer personal access token.
+    // Without a token the browser's JIRA session cookies are sent instead.
+    getAuthHeader(authMethod = this.settings.authMethod) {
+        const token = this.settings.apiToken;
+        if (authMethod !== 'token' || !token) return null;
         
-        try {
-            const response = await fetch(`${baseUrl}${apiPath}`, {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json'
+        if (this.settings.jiraType === 'cloud') {
+            const bytes = new TextEncoder().encode(`${this.settings.username}:${token}`);
+            return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+        }
+        
+        return `Bearer ${token}`;
+    }
+
+    /**
+     * Sends a request to JIRA and resolves with the response once it succeeded.
+     * Every attempt times out after `this.timeout`. Rate limiting (429) is retried after
+     * the Retry-After JIRA sends, or with exponential backoff; reads are also retried
+     * after network failures and temporary outages, writes aren't since they may have
+     * been applied already. A timeout isn't retried, waiting for it again would hold
+     * the panel too long. Failures are thrown as JiraError subclasses: `failure`
+     * prefixes JIRA's own message, `messages` replaces it for specific HTTP statuses.
+     * Aborting `signal` rejects with JiraCancelledError.
+     */
+    async request(url, init = {}, { authMethod = this.settings.authMethod, signal = null, failure = 'Request to JIRA failed', messages = {} } = {}) {
+        const authHeader = this.getAuthHeader(authMethod);
+        const method = (init.method || 'GET').toUpperCase();
+        const headers = { 'Accept': 'application/json', ...init.headers };
+        
+        if (init.body) {
+            headers['Content-Type'] = 'application/json';
+            // Cookie-authenticated writes are rejected by the XSRF check without this
+            headers['X-Atlassian-Token'] = 'no-check';
+        }
+        
+        if (authHeader) {
+            headers['Authorization'] = authHeader;
+        }
+        
+        const options = {
+            ...init,
+            headers: headers,
+            // Leave cookies out of token requests so a stale session can't mask a bad token
+            credentials: authHeader ? 'omit' : 'include'
+        };
+        
+        for (let attempt = 0; ; attempt++) {
+            let response;
+            
+            try {
+                response = await this.fetchWithTimeout(url, options, signal);
+            } catch (error) {
+                if (!(error instanceof JiraNetworkError) || error instanceof JiraTimeoutError
+                    || method !== 'GET' || attempt >= this.maxRetries) {
+                    throw error;
                 }
+                await this.wait(this.getRetryDelay(attempt), signal);
+                continue;
+            }
+            
+            if (response.ok) {
+                return response;
+            }
+            
+            const retryable = response.status === 429 || (method === 'GET' && [502, 503, 504].includes(response.status));
+            const delay = this.getRetryDelay(attempt, response);
+            
+            // A wait longer than we are willing to hold the panel for is reported instead
+            if (retryable && attempt < this.maxRetries && delay <= this.maxRetryWait) {
+                await this.wait(delay, signal);
+                continue;
+            }
+            
+            throw await this.createError(response, { authMethod, failure, messages });
+        }
+    }
+
+    // The body is read here, under the same deadline as the headers, and handed back as a
+    // buffered response, so a reply that stalls halfway still times out
+    async fetchWithTimeout(url, options, signal) {
+        if (signal?.aborted) {
+            throw new JiraCancelledError();
+        }
+        
+        const controller = new AbortController();
+        const abort = () => controller.abort();
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, this.timeout);
+        signal?.addEventListener('abort', abort);
+        
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            const body = await response.arrayBuffer();
+            
+            return new Response(body.byteLength > 0 ? body : null, {
+                status: response.status,
+                statusText: response.statusText,
+                headers: response.headers
             });
+        } catch (error) {
+            if (signal?.aborted) {
+                throw new JiraCancelledError();
+            }
+            if (timedOut) {
+                throw new JiraTimeoutError(`JIRA did not respond within ${this.timeout / 1000} seconds.`);
+            }
+            throw new JiraNetworkError(`Could not reach JIRA at ${new URL(url).host}.`);
+        } finally {
+            clearTimeout(timer);
+            signal?.removeEventListener('abort', abort);
+        }
+    }
+
+    // Retry-After is either a number of seconds or an HTTP date; without it the wait doubles each attempt
+    getRetryDelay(attempt, response = null) {
+        const retryAfter = response?.headers.get('Retry-After');
+        
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delay = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+            if (!Number.isNaN(delay)) {
+                return Math.max(0, delay);
+            }
+        }
+        
+        return this.retryDelay * 2 ** attempt + Math.random() * this.retryDelay;
+    }
 
-            if (!response.ok) {
-                throw new Error(`Failed to get current user: ${response.statusText}`);
+    wait(delay, signal) {
+        return new Promise((resolve, reject) => {
+            const cancel = () => {
+                clearTimeout(timer);
+                reject(new JiraCancelledError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', cancel);
+                resolve();
+            }, delay);
+            
+            if (signal?.aborted) {
+                cancel();
+            } else {
+                signal?.addEventListener('abort', cancel, { once: true });
+            }
+        });
+    }
+
+    async createError(response, { authMethod, failure, messages }) {
+        const status = response.status;
+        const detail = await this.readErrorMessage(response);
+        const message = messages[status] || `${failure}: ${detail}`;
+        
+        switch (status) {
+            case 401:
+                return new JiraAuthError(messages[401] || this.getUnauthorizedMessage(authMethod), { status, detail });
+            case 403:
+                return new JiraPermissionError(message, { status, detail });
+            case 404:
+                return new JiraNotFoundError(message, { status, detail });
+            case 429: {
+                const retryAfter = Math.ceil(this.getRetryDelay(0, response) / 1000);
+                return new JiraRateLimitError(messages[429] || `JIRA is limiting requests from this extension. Try again in ${retryAfter} seconds.`, { retryAfter, detail });
+            }
+            default:
+                return new JiraError(message, { status, detail });
+        }
+    }
+
+    getUnauthorizedMessage(authMethod = this.settings.authMethod) {
+        return this.getAuthHeader(authMethod)
+            ? 'Not authenticated. Check the token in the extension settings.'
+            : 'Not authenticated. Please log in to JIRA first.';
+    }
+
+    async readErrorMessage(response) {
+        let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
+        
+        try {
+            const errorBody = await response.text();
+            if (this.DEBUG) {
+                console.error('JIRA API Error Body:', errorBody);
+            }
+            
+            // Try to parse as JSON for better error message
+            try {
+                const errorJson = JSON.parse(errorBody);
+                const fieldErrors = Object.entries(errorJson.errors || {})
+                    .map(([field, message]) => `${field}: ${message}`);
+                
+                if (errorJson.errorMessages && errorJson.errorMessages.length > 0) {
+                    errorMessage = [...errorJson.errorMessages, ...fieldErrors].join(', ');
+                } else if (fieldErrors.length > 0) {
+                    errorMessage = fieldErrors.join(', ');
+                } else if (errorJson.error) {
+                    errorMessage = errorJson.error;
+                }
+            } catch (parseError) {
+                // Use raw body if JSON parsing fails
+                if (errorBody && errorBody.length < 200) {
+                    errorMessage += ` - ${errorBody}`;
+                }
             }
+        } catch (bodyError) {
+            if (this.DEBUG) {
+                console.error('Could not read error response body:', bodyError);
+            }
+        }
+        
+        return errorMessage;
+    }
+
+    // The signed-in user is fetched once per connection and shared by every caller.
+    // Asking for a specific auth method, as testConnection does, always goes to JIRA.
+    async getCurrentUser(authMethod = null) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        if (authMethod) {
+            return this.fetchCurrentUser(authMethod);
+        }
+        
+        if (!this.currentUserRequest) {
+            // A failed lookup isn't remembered, the next caller tries again
+            this.currentUserRequest = this.fetchCurrentUser(this.settings.authMethod).catch(error => {
+                this.currentUserRequest = null;
+                throw error;
+            });
+        }
+        
+        return this.currentUserRequest;
+    }
+
+    async fetchCurrentUser(authMethod) {
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('myself')}`, {}, {
+                authMethod: authMethod,
+                failure: 'Failed to get current user'
+            });
 
             return await response.json();
         } catch (error) {
@@ -56,23 +421,39 @@ class JiraAPI {
         }
     }
 
-    async searchTasks(forceReload = false) {
-        await this.loadSettings(forceReload);
-        
-        if (!this.settings.jiraUrl) {
-            throw new Error('JIRA URL not configured');
+    // Queries saved before named queries existed live in the top-level filter settings
+    getSavedQueries(settings = this.settings) {
+        if (Array.isArray(settings.savedQueries) && settings.savedQueries.length > 0) {
+            return settings.savedQueries;
         }
+        
+        return [{
+            id: 'default',
+            name: 'My Tasks',
+            mode: 'builder',
+            includeAssigned: settings.includeAssigned,
+            includeReviewer: settings.includeReviewer,
+            excludedStatuses: settings.excludedStatuses,
+            jql: ''
+        }];
+    }
 
-        const baseUrl = this.settings.jiraUrl.replace(/\/$/, '');
-        await this.getCurrentUserKey();
+    buildJql(query) {
+        if (query.mode === 'jql') {
+            const jql = (query.jql || '').trim();
+            if (!jql) {
+                throw new Error(`Query "${query.name}" has no JQL`);
+            }
+            return this.applyConnectionFilter(jql);
+        }
         
         const jqlParts = [];
         
-        if (this.settings.includeAssigned) {
+        if (query.includeAssigned) {
             jqlParts.push(`assignee = currentUser()`);
         }
         
-        if (this.settings.includeReviewer) {
+        if (query.includeReviewer) {
             if (this.settings.jiraType === 'cloud') {
                 jqlParts.push(`"Request participants" = currentUser()`);
             } else {
@@ -84,38 +465,98 @@ class JiraAPI {
             jqlParts.push(`assignee = currentUser()`);
         }
         
-        const excludedStatuses = this.settings.excludedStatuses
-            .split(',')
+        const conditions = [`(${jqlParts.join(' OR ')})`];
+        const excludedStatuses = (query.excludedStatuses || '')
+            .split(/[,\n]/)
             .map(s => s.trim())
             .filter(s => s);
         
-        // Properly escape status names for JQL, handling special characters
-        const escapedStatuses = excludedStatuses.map(status => {
-            // Escape quotes and backslashes in status names
-            const escaped = status.replace(/\\/g, '\\\\').replace(/"/g, '\\"');
-            return `"${escaped}"`;
+        if (excludedStatuses.length > 0) {
+            conditions.push(`status NOT IN (${excludedStatuses.map(status => this.quoteJqlValue(status)).join(', ')})`);
+        }
+        
+        // Project and issue type lists were added later, so older queries don't have them
+        if (query.projects?.length > 0) {
+            conditions.push(`project IN (${query.projects.map(project => this.quoteJqlValue(project)).join(', ')})`);
+        }
+        
+        if (query.issueTypes?.length > 0) {
+            conditions.push(`issuetype IN (${query.issueTypes.map(type => this.quoteJqlValue(type)).join(', ')})`);
+        }
+        
+        return this.applyConnectionFilter(`${conditions.join(' AND ')} ORDER BY priority DESC, updated DESC`);
+    }
+
+    // Properly escape values for JQL, handling quotes and backslashes in names
+    quoteJqlValue(value) {
+        return `"${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    // Narrows every query with the connection's own JQL, keeping ORDER BY at the end
+    applyConnectionFilter(jql) {
+        const filter = (this.settings.jqlFilter || '').trim();
+        if (!filter) return jql;
+        
+        const [, where, orderBy] = jql.match(/^([\s\S]*?)((?:^|\s+)ORDER\s+BY\s[\s\S]*)?$/i);
+        const condition = where.trim() ? `(${where.trim()}) AND (${filter})` : filter;
+        
+        return orderBy ? `${condition} ${orderBy.trim()}` : condition;
+    }
+
+    /**
+     * Fetches one page of tasks. Pass the returned `nextPage` back in as `page`
+     * to continue; it is null once the last page has been read.
+     * Cloud pages with nextPageToken on /search/jql, Server with startAt on /search.
+     * Aborting `signal` cancels the search with a JiraCancelledError.
+     */
+    async searchTasks(forceReload = false, query = null, page = null, extraFields = [], signal = null) {
+        await this.loadSettings(forceReload);
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        await this.getCurrentUserKey();
+        const customFieldIds = await this.getCustomFieldIds(signal);
+        
+        const isCloud = this.settings.jiraType === 'cloud';
+        const jql = this.buildJql(query || this.getSavedQueries()[0]);
+        // Both deployments cap a single page at 100 issues when fields are requested
+        const pageSize = Math.min(this.settings.maxTasks, 100);
+        
+        const params = new URLSearchParams({
+            jql: jql,
+            maxResults: pageSize,
+            fields: [
+                'summary', 'status', 'priority', 'assignee', 'reporter', 'created', 'updated', 'description', 'issuetype',
+                'project', 'duedate', 'labels', 'fixVersions',
+                ...(customFieldIds.sprint ? [customFieldIds.sprint] : []), ...customFieldIds.storyPoints, ...extraFields
+            ].join(',')
         });
         
-        const jql = excludedStatuses.length > 0 
-            ? `(${jqlParts.join(' OR ')}) AND status NOT IN (${escapedStatuses.join(', ')}) ORDER BY priority DESC, updated DESC`
-            : `(${jqlParts.join(' OR ')}) ORDER BY priority DESC, updated DESC`;
-        const apiPath = this.settings.jiraType === 'cloud' ? '/rest/api/3/search' : '/rest/api/2/search';
+        if (isCloud && page?.nextPageToken) {
+            params.set('nextPageToken', page.nextPageToken);
+        } else if (!isCloud) {
+            params.set('startAt', page?.startAt || 0);
+        }
         
-        const url = `${baseUrl}${apiPath}?jql=${encodeURIComponent(jql)}&maxResults=${this.settings.maxTasks}&fields=summary,status,priority,assignee,reporter,created,updated,description,issuetype`;
+        const url = `${this.getBaseUrl()}${this.getApiPath(isCloud ? 'search/jql' : 'search')}?${params}`;
 
         if (this.DEBUG) {
             console.log('JIRA API Request:', {
                 url: url,
                 jql: jql,
-                settings: this.settings
+                settings: { ...this.settings, apiToken: undefined }
             });
         }
 
         try {
-            const response = await fetch(url, {
-                credentials: 'include',
-                headers: {
-                    'Accept': 'application/json'
+            const response = await this.request(url, {}, {
+                signal: signal,
+                failure: 'Failed to fetch tasks',
+                messages: {
+                    403: 'Access denied. Check your JIRA permissions.',
+                    404: 'JIRA API endpoint not found. Check your JIRA URL.'
                 }
             });
 
@@ -127,56 +568,43 @@ class JiraAPI {
                 });
             }
 
-            if (!response.ok) {
-                let errorMessage = `HTTP ${response.status}: ${response.statusText}`;
-                
-                try {
-                    const errorBody = await response.text();
-                    if (this.DEBUG) {
-                        console.error('JIRA API Error Body:', errorBody);
-                    }
-                    
-                    // Try to parse as JSON for better error message
-                    try {
-                        const errorJson = JSON.parse(errorBody);
-                        if (errorJson.errorMessages && errorJson.errorMessages.length > 0) {
-                            errorMessage = errorJson.errorMessages.join(', ');
-                        } else if (errorJson.error) {
-                            errorMessage = errorJson.error;
-                        }
-                    } catch (parseError) {
-                        // Use raw body if JSON parsing fails
-                        if (errorBody && errorBody.length < 200) {
-                            errorMessage += ` - ${errorBody}`;
-                        }
-                    }
-                } catch (bodyError) {
-                    if (this.DEBUG) {
-                        console.error('Could not read error response body:', bodyError);
-                    }
-                }
-                
-                if (response.status === 401) {
-                    throw new Error('Not authenticated. Please log in to JIRA first.');
-                } else if (response.status === 403) {
-                    throw new Error('Access denied. Check your JIRA permissions.');
-                } else if (response.status === 404) {
-                    throw new Error('JIRA API endpoint not found. Check your JIRA URL.');
-                }
-                
-                throw new Error(`Failed to fetch tasks: ${errorMessage}`);
-            }
-
             const data = await response.json();
+            const issues = data.issues || [];
             if (this.DEBUG) {
                 console.log('JIRA API Success:', {
-                    issueCount: data.issues?.length || 0,
+                    issueCount: issues.length,
                     total: data.total
                 });
             }
             
-            return this.transformTasks(data.issues);
+            let nextPage = null;
+            let total = data.total ?? null;
+            
+            if (isCloud) {
+                if (!data.isLast && data.nextPageToken) {
+                    nextPage = { nextPageToken: data.nextPageToken };
+                }
+                // The token-based endpoint no longer reports a total
+                if (!page) {
+                    total = nextPage ? await this.countTasks(jql, signal) : issues.length;
+                }
+            } else {
+                const startAt = data.startAt || 0;
+                if (startAt + issues.length < data.total && issues.length > 0) {
+                    nextPage = { startAt: startAt + issues.length };
+                }
+            }
+            
+            return {
+                tasks: this.transformTasks(issues, extraFields),
+                total: total,
+                nextPage: nextPage
+            };
         } catch (error) {
+            if (error instanceof JiraCancelledError) {
+                throw error;
+            }
+            
             if (this.DEBUG) {
                 console.error('Error fetching tasks:', {
                     error: error.message,
@@ -192,6 +620,114 @@ class JiraAPI {
         }
     }
 
+    async countTasks(jql, signal = null) {
+        const url = `${this.getBaseUrl()}${this.getApiPath('search/approximate-count')}`;
+        
+        try {
+            const response = await this.request(url, {
+                method: 'POST',
+                // Ordering is irrelevant to the count
+                body: JSON.stringify({ jql: jql.replace(/\s+ORDER\s+BY\s[\s\S]*$/i, '') })
+            }, { signal: signal, failure: 'Failed to count tasks' });
+            
+            const data = await response.json();
+            return data.count ?? null;
+        } catch (error) {
+            if (error instanceof JiraCancelledError) {
+                throw error;
+            }
+            // The total is informational only, so a failed count is not fatal
+            console.error('Error counting tasks:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Issues for the inbox: ones the user watches without being the assignee, and ones with
+     * a comment from the last `days` days that mentions the user. Each task gets an `inbox`
+     * entry saying why it's listed, with the latest mention and when the activity happened.
+     * Sites that can't text-search comments for the current user fall back to watched issues.
+     */
+    async searchInbox(days, signal = null) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        const user = await this.getCurrentUser();
+        const watched = '(watcher = currentUser() AND (assignee != currentUser() OR assignee IS EMPTY))';
+        const recent = `updated >= -${days}d`;
+        
+        let issues;
+        try {
+            issues = await this.fetchInboxIssues(`(${watched} OR comment ~ currentUser()) AND ${recent} ORDER BY updated DESC`, signal);
+        } catch (error) {
+            if (error.status !== 400) throw error;
+            issues = await this.fetchInboxIssues(`${watched} AND ${recent} ORDER BY updated DESC`, signal);
+        }
+        
+        const userId = user.accountId || user.key;
+        const since = Date.now() - days * 86400000;
+        const tasks = this.transformTasks(issues);
+        
+        return tasks
+            .map((task, index) => {
+                const fields = issues[index].fields;
+                const mention = this.findMentions(fields.comment?.comments || [], user, since).pop();
+                const watching = Boolean(fields.watches?.isWatching) && task.assignee.id !== userId;
+                
+                return {
+                    ...task,
+                    inbox: {
+                        watching: watching,
+                        mention: mention ? {
+                            author: mention.author?.displayName || 'Someone',
+                            created: mention.created,
+                            body: mention.body
+                        } : null,
+                        // A watched issue needs a look whenever it changes, a mention when it's made
+                        activityAt: watching || !mention ? task.updated : mention.created
+                    }
+                };
+            })
+            // The text search also matches comments that merely contain the user's name
+            .filter(task => task.inbox.watching || task.inbox.mention);
+    }
+
+    // One page is plenty: the inbox is about recent activity, newest first
+    async fetchInboxIssues(jql, signal) {
+        const isCloud = this.settings.jiraType === 'cloud';
+        const params = new URLSearchParams({
+            jql: this.applyConnectionFilter(jql),
+            maxResults: 50,
+            fields: 'summary,status,priority,assignee,reporter,created,updated,issuetype,project,comment,watches'
+        });
+        
+        const url = `${this.getBaseUrl()}${this.getApiPath(isCloud ? 'search/jql' : 'search')}?${params}`;
+        const response = await this.request(url, {}, {
+            signal: signal,
+            failure: 'Failed to load the inbox'
+        });
+        
+        const data = await response.json();
+        return data.issues || [];
+    }
+
+    // Cloud stores mentions as rich text nodes holding the account id;
+    // Server's wiki markup writes them as [~username] or [~accountid:id]
+    findMentions(comments, user, since) {
+        const ids = [user.accountId, user.key, user.name].filter(Boolean);
+        const mentions = (node) => {
+            if (typeof node === 'string') {
+                return ids.some(id => node.includes(`[~${id}]`) || node.includes(`[~accountid:${id}]`));
+            }
+            return Boolean(node) && ((node.type === 'mention' && ids.includes(node.attrs?.id)) || (node.content || []).some(mentions));
+        };
+        
+        return comments.filter(comment => new Date(comment.created).getTime() >= since && mentions(comment.body));
+    }
+
     async getCurrentUserKey() {
         try {
             const user = await this.getCurrentUser();
@@ -203,12 +739,18 @@ class JiraAPI {
         }
     }
 
-    transformTasks(issues) {
-        const baseUrl = this.settings.jiraUrl.replace(/\/$/, '');
+    // Requested custom fields end up in `customFields` as display text, in the order asked for
+    transformTasks(issues, extraFields = []) {
+        const baseUrl = this.getBaseUrl();
+        const connectionId = this.connection?.id || 'default';
+        const customFieldIds = extraFields.filter(id => /^customfield_\d+$/.test(id));
         
         return issues.map(issue => ({
             id: issue.id,
             key: issue.key,
+            // Issue keys are only unique within one JIRA site
+            uid: `${connectionId}:${issue.key}`,
+            connectionId: connectionId,
             summary: issue.fields.summary,
             description: issue.fields.description,
             status: {
@@ -221,6 +763,8 @@ class JiraAPI {
                 iconUrl: issue.fields.priority?.iconUrl
             },
             assignee: {
+                // Cloud identifies users by accountId, Server by key
+                id: issue.fields.assignee?.accountId || issue.fields.assignee?.key || null,
                 displayName: issue.fields.assignee?.displayName || 'Unassigned',
                 avatarUrl: issue.fields.assignee?.avatarUrls?.['24x24']
             },
@@ -234,10 +778,619 @@ class JiraAPI {
             },
             created: issue.fields.created,
             updated: issue.fields.updated,
+            project: {
+                key: issue.fields.project?.key || issue.key.split('-')[0],
+                name: issue.fields.project?.name || issue.key.split('-')[0]
+            },
+            dueDate: issue.fields.duedate || null,
+            labels: issue.fields.labels || [],
+            fixVersions: (issue.fields.fixVersions || []).map(version => version.name),
+            sprint: this.customFieldIds?.sprint ? this.parseSprint(issue.fields[this.customFieldIds.sprint]) : null,
+            storyPoints: this.getStoryPoints(issue.fields),
+            customFields: customFieldIds
+                .map(id => ({
+                    id: id,
+                    name: this.customFieldIds?.names?.[id] || id,
+                    value: this.formatFieldValue(issue.fields[id])
+                }))
+                .filter(field => field.value),
+            comments: issue.fields.comment ? this.summarizeComments(issue.fields.comment) : undefined,
             url: `${baseUrl}/browse/${issue.key}`
         }));
     }
 
+    // Sprint and story points are JIRA Software custom fields whose ids differ from site to site.
+    // Cloud sites can have two story point fields: one for company-managed and one for
+    // team-managed projects, so all candidates are requested. The names of all custom
+    // fields are kept too, for custom fields shown on cards.
+    async getCustomFieldIds(signal = null) {
+        if (this.customFieldIds) {
+            return this.customFieldIds;
+        }
+        
+        const none = { sprint: null, storyPoints: [], names: {} };
+        
+        try {
+            const fields = await this.fetchFields(signal);
+            const sprintField = fields.find(field => field.schema?.custom === 'com.pyxis.greenhopper.jira:gh-sprint');
+            const storyPointFields = fields.filter(field =>
+                field.schema?.custom === 'com.pyxis.greenhopper.jira:jsw-story-points'
+                || /^story points?( estimate)?$/i.test(field.name || ''));
+            
+            this.customFieldIds = {
+                sprint: sprintField ? sprintField.id : null,
+                storyPoints: storyPointFields.map(field => field.id),
+                names: Object.fromEntries(fields.filter(field => field.custom).map(field => [field.id, field.name]))
+            };
+            return this.customFieldIds;
+        } catch (error) {
+            if (error instanceof JiraCancelledError) {
+                throw error;
+            }
+            // Try again on the next search rather than remembering a transient failure
+            console.error('Error looking up custom fields:', error.message);
+            return none;
+        }
+    }
+
+    async fetchFields(signal = null) {
+        const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('field')}`, {}, {
+            signal: signal,
+            failure: 'Failed to load fields'
+        });
+        
+        return response.json();
+    }
+
+    getStoryPoints(fields) {
+        const value = (this.customFieldIds?.storyPoints || [])
+            .map(id => fields[id])
+            .find(points => typeof points === 'number');
+        return value ?? null;
+    }
+
+    // Custom field values come in many shapes: plain values, options, users, versions,
+    // lists of those and, on Cloud, rich text documents
+    formatFieldValue(value) {
+        if (value === null || value === undefined || value === '') return '';
+        
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatFieldValue(item)).filter(Boolean).join(', ');
+        }
+        
+        if (typeof value !== 'object') {
+            return String(value);
+        }
+        
+        if (value.type === 'doc') {
+            const collect = (node) => [node.text || '', ...(node.content || []).map(collect)].join(' ');
+            return collect(value).replace(/\s+/g, ' ').trim();
+        }
+        
+        const text = value.displayName ?? value.name ?? value.value ?? value.key ?? '';
+        // Cascading selects nest the second level in `child`
+        return value.child ? `${text} / ${this.formatFieldValue(value.child)}` : String(text);
+    }
+
+    // An issue can be in several sprints; the active one wins, then the next planned one.
+    // Cloud returns sprint objects, older Server versions serialise them as strings.
+    parseSprint(value) {
+        const sprints = (Array.isArray(value) ? value : [value])
+            .filter(Boolean)
+            .map(sprint => {
+                if (typeof sprint === 'object') {
+                    return { id: sprint.id, name: sprint.name, state: (sprint.state || '').toLowerCase() };
+                }
+                
+                const attribute = (name) => String(sprint).match(new RegExp(`[\\[,]${name}=([^,\\]]*)`))?.[1];
+                return { id: attribute('id'), name: attribute('name'), state: (attribute('state') || '').toLowerCase() };
+            })
+            .filter(sprint => sprint.name);
+        
+        return sprints.find(sprint => sprint.state === 'active')
+            || sprints.find(sprint => sprint.state === 'future')
+            || sprints[sprints.length - 1]
+            || null;
+    }
+
+    summarizeComments(commentField) {
+        const comments = commentField.comments || [];
+        const lastComment = comments[comments.length - 1];
+        
+        return {
+            total: commentField.total ?? comments.length,
+            lastAuthorId: lastComment?.author?.accountId || lastComment?.author?.key || null,
+            lastAuthorName: lastComment?.author?.displayName || null
+        };
+    }
+
+    // Collapses the different priority schemes (Highest/High..., Blocker/Critical...) onto five levels
+    getPriorityLevel(priorityName) {
+        const p = (priorityName || '').toLowerCase();
+        if (p.includes('highest') || p.includes('blocker')) return 'highest';
+        if (p.includes('high') || p.includes('critical')) return 'high';
+        if (p.includes('lowest') || p.includes('trivial')) return 'lowest';
+        if (p.includes('low') || p.includes('minor')) return 'low';
+        return 'medium';
+    }
+
+    getPriorityRank(priorityName) {
+        return ['lowest', 'low', 'medium', 'high', 'highest'].indexOf(this.getPriorityLevel(priorityName));
+    }
+
+    async getIssue(issueKey) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        const params = new URLSearchParams({
+            fields: 'description,comment,subtasks,labels,duedate,attachment,updated'
+        });
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/${encodeURIComponent(issueKey)}`)}?${params}`;
+        
+        try {
+            const response = await this.request(url, {}, {
+                failure: 'Failed to load issue',
+                messages: { 404: 'Issue not found, or you no longer have access to it.' }
+            });
+
+            return this.transformIssueDetail(await response.json());
+        } catch (error) {
+            console.error('Error fetching issue:', error.message);
+            throw error;
+        }
+    }
+
+    transformIssueDetail(issue) {
+        const baseUrl = this.getBaseUrl();
+        const fields = issue.fields;
+        const comments = fields.comment?.comments || [];
+        
+        return {
+            key: issue.key,
+            // Rich text comes back as ADF from v3 and as wiki markup from v2
+            format: this.settings.jiraType === 'cloud' ? 'adf' : 'wiki',
+            description: fields.description,
+            updated: fields.updated,
+            comments: comments.slice(-5).reverse().map(comment => ({
+                id: comment.id,
+                author: comment.author?.displayName || 'Unknown',
+                avatarUrl: comment.author?.avatarUrls?.['24x24'],
+                created: comment.created,
+                body: comment.body
+            })),
+            commentTotal: fields.comment?.total ?? comments.length,
+            subtasks: (fields.subtasks || []).map(subtask => ({
+                key: subtask.key,
+                summary: subtask.fields?.summary,
+                status: {
+                    name: subtask.fields?.status?.name || '',
+                    category: subtask.fields?.status?.statusCategory?.name || 'To Do'
+                },
+                url: `${baseUrl}/browse/${subtask.key}`
+            })),
+            labels: fields.labels || [],
+            dueDate: fields.duedate || null,
+            attachmentCount: (fields.attachment || []).length
+        };
+    }
+
+    async addComment(issueKey, text) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/${encodeURIComponent(issueKey)}/comment`)}`;
+        
+        try {
+            const response = await this.request(url, {
+                method: 'POST',
+                body: JSON.stringify({ body: this.formatRichText(text) })
+            }, {
+                failure: 'Failed to add comment',
+                messages: { 403: 'You do not have permission to comment on this issue.' }
+            });
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error adding comment:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Logs work on an issue. `timeSpent` uses JIRA duration syntax ("1h 30m"),
+     * which the instance converts with its own hours-per-day/days-per-week settings.
+     */
+    async addWorklog(issueKey, { timeSpent, timeSpentSeconds, started, comment }) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        const worklog = {
+            started: this.formatDateTime(started || new Date())
+        };
+        
+        if (timeSpentSeconds) {
+            worklog.timeSpentSeconds = timeSpentSeconds;
+        } else {
+            worklog.timeSpent = timeSpent;
+        }
+        
+        if (comment) {
+            worklog.comment = this.formatRichText(comment);
+        }
+        
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/${encodeURIComponent(issueKey)}/worklog`)}`;
+        
+        try {
+            const response = await this.request(url, {
+                method: 'POST',
+                body: JSON.stringify(worklog)
+            }, {
+                failure: 'Failed to log work',
+                messages: { 403: 'You do not have permission to log work on this issue.' }
+            });
+
+            return await response.json();
+        } catch (error) {
+            console.error('Error logging work:', error.message);
+            throw error;
+        }
+    }
+
+    // Metadata for the options page: every status, issue type and custom field of the site.
+    // Team-managed projects on Cloud each bring their own copies, so names are de-duplicated.
+    async getStatuses() {
+        await this.loadSettings();
+        
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('status')}`, {}, {
+                failure: 'Failed to load statuses'
+            });
+            
+            const statuses = await response.json();
+            return this.uniqueByName(statuses.map(status => ({
+                id: status.id,
+                name: status.name,
+                category: status.statusCategory?.name || 'To Do'
+            })));
+        } catch (error) {
+            console.error('Error loading statuses:', error.message);
+            throw error;
+        }
+    }
+
+    async getIssueTypes() {
+        await this.loadSettings();
+        
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('issuetype')}`, {}, {
+                failure: 'Failed to load issue types'
+            });
+            
+            const types = await response.json();
+            return this.uniqueByName(types.map(type => ({ id: type.id, name: type.name, subtask: !!type.subtask })));
+        } catch (error) {
+            console.error('Error loading issue types:', error.message);
+            throw error;
+        }
+    }
+
+    async getCustomFields() {
+        await this.loadSettings();
+        
+        try {
+            const fields = await this.fetchFields();
+            return fields
+                .filter(field => field.custom)
+                .map(field => ({ id: field.id, name: field.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Error loading fields:', error.message);
+            throw error;
+        }
+    }
+
+    uniqueByName(items) {
+        const seen = new Set();
+        
+        return items
+            .filter(item => {
+                const name = item.name.toLowerCase();
+                if (seen.has(name)) return false;
+                seen.add(name);
+                return true;
+            })
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    /**
+     * Checks JQL against the site without running it and resolves with JIRA's complaints,
+     * an empty list when it's fine. Cloud has a parse endpoint; Server/Data Center reports
+     * the same problems from a strictly validated search that asks for no results.
+     */
+    async validateJql(jql) {
+        await this.loadSettings();
+        
+        try {
+            if (this.settings.jiraType === 'cloud') {
+                const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('jql/parse?validation=strict')}`, {
+                    method: 'POST',
+                    body: JSON.stringify({ queries: [jql] })
+                }, { failure: 'Failed to check JQL' });
+                
+                const data = await response.json();
+                return data.queries?.[0]?.errors || [];
+            }
+            
+            const params = new URLSearchParams({ jql: jql, maxResults: '0', fields: 'id', validateQuery: 'strict' });
+            await this.request(`${this.getBaseUrl()}${this.getApiPath(`search?${params}`)}`, {}, {
+                failure: 'Failed to check JQL'
+            });
+            return [];
+        } catch (error) {
+            // JIRA answers unparseable JQL with 400 Bad Request
+            if (error.status === 400) {
+                return [error.detail];
+            }
+            throw error;
+        }
+    }
+
+    async getProjects() {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        try {
+            const projects = this.settings.jiraType === 'cloud'
+                ? await this.fetchCloudProjects()
+                : await this.fetchProjectData('project');
+            
+            return projects
+                .map(project => ({ id: project.id, key: project.key, name: project.name }))
+                .sort((a, b) => a.name.localeCompare(b.name));
+        } catch (error) {
+            console.error('Error loading projects:', error.message);
+            throw error;
+        }
+    }
+
+    // Server returns every project from /project, but Cloud pages them through /project/search
+    async fetchCloudProjects() {
+        const projects = [];
+        let isLast = false;
+        
+        while (!isLast) {
+            const params = new URLSearchParams({ startAt: projects.length, maxResults: 100, orderBy: 'name' });
+            const data = await this.fetchProjectData(`project/search?${params}`);
+            const values = data.values || [];
+            projects.push(...values);
+            isLast = data.isLast !== false || values.length === 0;
+        }
+        
+        return projects;
+    }
+
+    async fetchProjectData(path) {
+        const response = await this.request(`${this.getBaseUrl()}${this.getApiPath(path)}`, {}, {
+            failure: 'Failed to load projects'
+        });
+        
+        return response.json();
+    }
+
+    // Issue types that can be created in a project, without subtask types
+    async getCreateIssueTypes(projectKey) {
+        await this.loadSettings();
+        
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/createmeta/${encodeURIComponent(projectKey)}/issuetypes`)}`;
+        
+        try {
+            const response = await this.request(url, {}, { failure: 'Failed to load issue types' });
+            
+            const data = await response.json();
+            // Cloud calls the list issueTypes, Server/Data Center values
+            return (data.issueTypes || data.values || [])
+                .filter(type => !type.subtask)
+                .map(type => ({ id: type.id, name: type.name }));
+        } catch (error) {
+            console.error('Error loading issue types:', error.message);
+            throw error;
+        }
+    }
+
+    async getPriorities() {
+        await this.loadSettings();
+        
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('priority')}`, {}, {
+                failure: 'Failed to load priorities'
+            });
+            
+            const priorities = await response.json();
+            return priorities.map(priority => ({ id: priority.id, name: priority.name }));
+        } catch (error) {
+            console.error('Error loading priorities:', error.message);
+            throw error;
+        }
+    }
+
+    // Users the issue can be assigned to, with the id the assignee field expects
+    async getAssignableUsers(projectKey) {
+        await this.loadSettings();
+        
+        // Server insists on a username filter; an empty one matches everybody
+        const params = new URLSearchParams({ project: projectKey, maxResults: '100' });
+        if (this.settings.jiraType !== 'cloud') {
+            params.set('username', '');
+        }
+        
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath(`user/assignable/search?${params}`)}`, {}, {
+                failure: 'Failed to load assignable users'
+            });
+            
+            const users = await response.json();
+            return users
+                .filter(user => user.active !== false)
+                .map(user => ({ id: this.getUserId(user), name: user.displayName }));
+        } catch (error) {
+            console.error('Error loading assignable users:', error.message);
+            throw error;
+        }
+    }
+
+    // Cloud identifies users by account id, Server/Data Center by username
+    getUserId(user) {
+        return this.settings.jiraType === 'cloud' ? user.accountId : user.name;
+    }
+
+    async createIssue({ projectKey, issueTypeId, summary, description, priorityId, assigneeId }) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        const fields = {
+            project: { key: projectKey },
+            issuetype: { id: issueTypeId },
+            summary: summary
+        };
+        
+        if (description) {
+            fields.description = this.formatRichText(description);
+        }
+        
+        // Left out, JIRA applies the project's defaults
+        if (priorityId) {
+            fields.priority = { id: priorityId };
+        }
+        
+        if (assigneeId) {
+            fields.assignee = this.settings.jiraType === 'cloud' ? { accountId: assigneeId } : { name: assigneeId };
+        }
+        
+        try {
+            const response = await this.request(`${this.getBaseUrl()}${this.getApiPath('issue')}`, {
+                method: 'POST',
+                body: JSON.stringify({ fields: fields })
+            }, {
+                failure: 'Failed to create issue',
+                messages: { 403: 'You do not have permission to create issues in this project.' }
+            });
+            
+            const issue = await response.json();
+            return {
+                id: issue.id,
+                key: issue.key,
+                url: `${this.getBaseUrl()}/browse/${issue.key}`
+            };
+        } catch (error) {
+            console.error('Error creating issue:', error.message);
+            throw error;
+        }
+    }
+
+    isValidDuration(text) {
+        return /^\s*(\d+(\.\d+)?\s*[wdhm]\s*)+$/i.test(text || '');
+    }
+
+    // Cloud expects Atlassian Document Format, Server takes the plain string
+    formatRichText(text) {
+        if (this.settings.jiraType !== 'cloud') {
+            return text;
+        }
+        
+        return {
+            type: 'doc',
+            version: 1,
+            content: text.split(/\n{2,}/).map(paragraph => ({
+                type: 'paragraph',
+                content: paragraph.split('\n').flatMap((line, index) => {
+                    const nodes = index > 0 ? [{ type: 'hardBreak' }] : [];
+                    return line ? [...nodes, { type: 'text', text: line }] : nodes;
+                })
+            }))
+        };
+    }
+
+    // JIRA wants yyyy-MM-dd'T'HH:mm:ss.SSSZ, which toISOString() doesn't produce
+    formatDateTime(date) {
+        const pad = (value, width = 2) => String(Math.abs(value)).padStart(width, '0');
+        const offset = -date.getTimezoneOffset();
+        const sign = offset >= 0 ? '+' : '-';
+        
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}` +
+            `${sign}${pad(Math.floor(Math.abs(offset) / 60))}${pad(Math.abs(offset) % 60)}`;
+    }
+
+    async getTransitions(issueKey) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        // Expanding fields tells us which transitions pop up a screen with required input
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/${encodeURIComponent(issueKey)}/transitions`)}?expand=transitions.fields`;
+        
+        try {
+            const response = await this.request(url, {}, { failure: 'Failed to load transitions' });
+
+            const data = await response.json();
+            
+            return (data.transitions || []).map(transition => ({
+                id: transition.id,
+                name: transition.name,
+                to: {
+                    name: transition.to?.name || transition.name,
+                    category: transition.to?.statusCategory?.name || 'To Do'
+                },
+                requiredFields: Object.entries(transition.fields || {})
+                    .filter(([, field]) => field.required && !field.hasDefaultValue)
+                    .map(([fieldId, field]) => field.name || fieldId)
+            }));
+        } catch (error) {
+            console.error('Error fetching transitions:', error.message);
+            throw error;
+        }
+    }
+
+    async transitionIssue(issueKey, transitionId) {
+        await this.loadSettings();
+        
+        if (!this.settings.jiraUrl) {
+            throw new Error('JIRA URL not configured');
+        }
+
+        const url = `${this.getBaseUrl()}${this.getApiPath(`issue/${encodeURIComponent(issueKey)}/transitions`)}`;
+        
+        try {
+            await this.request(url, {
+                method: 'POST',
+                body: JSON.stringify({ transition: { id: transitionId } })
+            }, {
+                failure: 'Transition failed',
+                messages: { 403: 'You do not have permission to transition this issue.' }
+            });
+        } catch (error) {
+            console.error('Error transitioning issue:', error.message);
+            throw error;
+        }
+    }
+
     async testConnection() {
         try {
             await this.loadSettings();
@@ -246,11 +1399,29 @@ class JiraAPI {
                 return { success: false, message: 'Please configure JIRA URL first' };
             }
 
-            const user = await this.getCurrentUser();
+            // Try the token first, then the browser session, and say which one worked
+            const methods = this.getAuthHeader('token') ? ['token', 'session'] : ['session'];
+            const failures = [];
+            
+            for (const method of methods) {
+                try {
+                    const user = await this.getCurrentUser(method);
+                    const note = failures.length > 0 ? ` (${failures.join('; ')})` : '';
+                    
+                    return { 
+                        success: true, 
+                        message: `Connected as ${user.displayName || user.name} using ${this.getAuthMethodLabel(method)}${note}`,
+                        authMethod: method,
+                        user: user
+                    };
+                } catch (error) {
+                    failures.push(`${this.getAuthMethodLabel(method)} failed: ${error.message}`);
+                }
+            }
+            
             return { 
-                success: true, 
-                message: `Connected as ${user.displayName || user.name}`,
-                user: user
+                success: false, 
+                message: failures.join('; ')
             };
         } catch (error) {
             return { 
@@ -259,4 +1430,9 @@ class JiraAPI {
             };
         }
     }
+
+    getAuthMethodLabel(authMethod) {
+        if (authMethod !== 'token') return 'browser session';
+        return this.settings.jiraType === 'cloud' ? 'API token' : 'personal access token';
+    }
 }
\ No newline at end of file
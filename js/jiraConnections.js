@@ -0,0 +1,219 @@
+// Runs saved queries against every configured JIRA connection and merges the results
+// into one list. Tasks carry a `uid` of connection id + issue key, since the same key
+// can exist on two sites; per-issue calls go through the API of the task's connection.
+class JiraConnections {
+    constructor() {
+        this.settings = null;
+        this.connections = [];
+        this.apis = new Map();
+        // Stateless helpers (priorities, durations) don't depend on a connection
+        this.helperApi = new JiraAPI();
+    }
+
+    async loadSettings(forceReload = false) {
+        if (this.settings && !forceReload) {
+            return this.settings;
+        }
+        
+        this.settings = await this.helperApi.loadSettings(true);
+        this.connections = this.helperApi.getConnections(this.settings);
+        // Existing instances are kept so their cached user and field lookups survive a reload
+        this.apis = new Map(this.connections.map(connection =>
+            [connection.id, this.apis.get(connection.id) || new JiraAPI(connection.id)]));
+        
+        await Promise.all([...this.apis.values()].map(api => api.loadSettings(true)));
+        return this.settings;
+    }
+
+    getSavedQueries() {
+        return this.helperApi.getSavedQueries(this.settings);
+    }
+
+    getConnection(connectionId) {
+        return this.connections.find(connection => connection.id === connectionId) || null;
+    }
+
+    // Queries without a connection list run everywhere
+    getQueryConnections(query) {
+        const connectionIds = query?.connectionIds || [];
+        if (connectionIds.length === 0) return this.connections;
+        
+        return this.connections.filter(connection => connectionIds.includes(connection.id));
+    }
+
+    get(connectionId) {
+        const api = this.apis.get(connectionId);
+        if (!api) {
+            throw new Error('This JIRA connection has been removed in the settings');
+        }
+        return api;
+    }
+
+    forTask(task) {
+        return this.get(task.connectionId);
+    }
+
+    /**
+     * Fetches one page from each connection the query runs on. `nextPage` holds each
+     * connection's own cursor, plus any tasks held back from the merge, and is null once
+     * every connection is exhausted.
+     * Connections that fail are reported in `errors` as long as at least one succeeds.
+     * Aborting `signal` cancels every connection's search with a JiraCancelledError.
+     */
+    async searchTasks(forceReload = false, query = null, page = null, extraFields = [], signal = null) {
+        await this.loadSettings(forceReload);
+        
+        if (this.connections.length === 0) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        query = query || this.getSavedQueries()[0];
+        const connectionIds = page ? Object.keys(page.cursors) : this.getQueryConnections(query).map(c => c.id);
+        
+        const results = await Promise.all(connectionIds.map(async (connectionId) => {
+            try {
+                const result = await this.get(connectionId).searchTasks(false, query, page?.cursors[connectionId] || null, extraFields, signal);
+                return { connectionId, result };
+            } catch (error) {
+                return { connectionId, error };
+            }
+        }));
+        
+        const succeeded = results.filter(r => r.result);
+        const failed = results.filter(r => r.error);
+        this.checkFailures(succeeded, failed);
+        
+        const cursors = {};
+        succeeded
+            .filter(r => r.result.nextPage)
+            .forEach(r => { cursors[r.connectionId] = r.result.nextPage; });
+        
+        // Tasks held back last time go ahead of the ones just fetched
+        const taskLists = { ...page?.pending };
+        succeeded.forEach(r => {
+            taskLists[r.connectionId] = [...(taskLists[r.connectionId] || []), ...r.result.tasks];
+        });
+        
+        const { tasks, held } = this.mergeTasks(taskLists, cursors, query);
+        const totals = succeeded.map(r => r.result.total);
+        
+        return {
+            tasks: tasks,
+            total: totals.includes(null) ? null : totals.reduce((sum, total) => sum + total, 0),
+            nextPage: Object.keys(cursors).length > 0 ? { cursors: cursors, pending: held } : null,
+            errors: this.describeFailures(failed)
+        };
+    }
+
+    /**
+     * Watched issues and recent mentions from every connection, most recent activity first.
+     * As with searchTasks, failing connections end up in `errors` while one still answers.
+     */
+    async searchInbox(days, signal = null) {
+        await this.loadSettings();
+        
+        if (this.connections.length === 0) {
+            throw new Error('JIRA URL not configured');
+        }
+        
+        const results = await Promise.all(this.connections.map(async ({ id: connectionId }) => {
+            try {
+                return { connectionId, result: await this.get(connectionId).searchInbox(days, signal) };
+            } catch (error) {
+                return { connectionId, error };
+            }
+        }));
+        
+        const succeeded = results.filter(r => r.result);
+        const failed = results.filter(r => r.error);
+        this.checkFailures(succeeded, failed);
+        
+        return {
+            tasks: succeeded
+                .flatMap(r => r.result)
+                .sort((a, b) => new Date(b.inbox.activityAt) - new Date(a.inbox.activityAt)),
+            errors: this.describeFailures(failed)
+        };
+    }
+
+    // Cancellation wins; otherwise only a complete failure is thrown
+    checkFailures(succeeded, failed) {
+        const cancelled = failed.find(r => r.error instanceof JiraCancelledError);
+        if (cancelled) {
+            throw cancelled.error;
+        }
+        
+        if (succeeded.length === 0 && failed.length > 0) {
+            if (failed.length === 1 && this.connections.length === 1) {
+                throw failed[0].error;
+            }
+            
+            // Every site failed; keep each one's guidance, but only once when they failed alike
+            const guidance = [...new Set(failed.map(r => r.error.guidance).filter(Boolean))];
+            throw new JiraError(this.describeFailures(failed).join('\n'), {
+                guidance: guidance.join(' ')
+            });
+        }
+    }
+
+    describeFailures(failed) {
+        const label = (connectionId) => this.getConnection(connectionId)?.name || connectionId;
+        return failed.map(r => `${label(r.connectionId)}: ${r.error.message}`);
+    }
+
+    /**
+     * Interleaves the connections' results without reordering any one site's list. Builder
+     * queries order by priority and then last update everywhere, so the sites' next tasks
+     * are compared the same way; a JQL query can order by anything, so they're compared by
+     * last update only. A connection with more pages mustn't run out while the others
+     * still have tasks, since its next page may sort ahead of them, so the merge stops
+     * there and returns the rest as `held` for the next page.
+     */
+    mergeTasks(taskLists, cursors, query) {
+        const byUpdated = (a, b) => new Date(b.updated) - new Date(a.updated);
+        const compare = query.mode === 'jql'
+            ? byUpdated
+            : (a, b) => this.getPriorityRank(b.priority.name) - this.getPriorityRank(a.priority.name) || byUpdated(a, b);
+        
+        const queues = Object.entries(taskLists).map(([connectionId, tasks]) => ({ connectionId, tasks: [...tasks] }));
+        const tasks = [];
+        
+        while (!queues.some(queue => queue.tasks.length === 0 && cursors[queue.connectionId])) {
+            const ready = queues.filter(queue => queue.tasks.length > 0);
+            if (ready.length === 0) break;
+            
+            const next = ready.reduce((best, queue) => compare(queue.tasks[0], best.tasks[0]) < 0 ? queue : best);
+            tasks.push(next.tasks.shift());
+        }
+        
+        const held = {};
+        queues
+            .filter(queue => queue.tasks.length > 0)
+            .forEach(queue => { held[queue.connectionId] = queue.tasks; });
+        
+        return { tasks, held };
+    }
+
+    // The current user differs per site, so this maps connection id to user id
+    async getCurrentUserKeys() {
+        await this.loadSettings();
+        
+        const entries = await Promise.all([...this.apis.entries()].map(async ([connectionId, api]) => {
+            return [connectionId, await api.getCurrentUserKey()];
+        }));
+        
+        return Object.fromEntries(entries);
+    }
+
+    getPriorityLevel(priorityName) {
+        return this.helperApi.getPriorityLevel(priorityName);
+    }
+
+    getPriorityRank(priorityName) {
+        return this.helperApi.getPriorityRank(priorityName);
+    }
+
+    isValidDuration(text) {
+        return this.helperApi.isValidDuration(text);
+    }
+}
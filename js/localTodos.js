@@ -0,0 +1,88 @@
+// Personal todos that have no JIRA issue behind them. They live in chrome.storage.local
+// and are shown in the query tab they were added in, ordered and dragged like any card.
+// Their uid is `local:<id>`; connection ids never use that prefix.
+class LocalTodos {
+    constructor() {
+        this.todos = [];
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['localTodos'], (result) => {
+                this.todos = result.localTodos || [];
+                resolve(this.todos);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ localTodos: this.todos }, resolve);
+        });
+    }
+
+    get(id) {
+        return this.todos.find(todo => todo.id === id) || null;
+    }
+
+    // Todos from a tab that has since been deleted move to the first tab
+    getForQuery(queryId, queryIds) {
+        return this.todos.filter(todo =>
+            todo.queryId === queryId || (!queryIds.includes(todo.queryId) && queryId === queryIds[0]));
+    }
+
+    async add(summary, dueDate, queryId) {
+        const todo = {
+            id: `t${Date.now().toString(36)}`,
+            summary: summary,
+            done: false,
+            dueDate: dueDate || null,
+            queryId: queryId,
+            created: new Date().toISOString(),
+            updated: new Date().toISOString()
+        };
+        
+        this.todos.push(todo);
+        await this.save();
+        return todo;
+    }
+
+    async update(id, changes) {
+        const todo = this.get(id);
+        if (!todo) return null;
+        
+        Object.assign(todo, changes, { updated: new Date().toISOString() });
+        await this.save();
+        return todo;
+    }
+
+    async remove(id) {
+        this.todos = this.todos.filter(todo => todo.id !== id);
+        await this.save();
+    }
+
+    // Shaped like a JIRA task so sorting, grouping and filtering treat both alike
+    toTask(todo) {
+        const status = todo.done ? 'Done' : 'To Do';
+        
+        return {
+            uid: `local:${todo.id}`,
+            todoId: todo.id,
+            isLocal: true,
+            key: '',
+            connectionId: 'local',
+            summary: todo.summary,
+            done: todo.done,
+            status: { name: status, category: status },
+            priority: { name: 'Medium' },
+            type: { name: 'Todo' },
+            project: null,
+            labels: [],
+            description: '',
+            dueDate: todo.dueDate,
+            sprint: null,
+            created: todo.created,
+            updated: todo.updated
+        };
+    }
+}
@@ -0,0 +1,206 @@
+// A searchable multi-select. Chosen values show as removable chips in front of a search box,
+// the remaining options are listed below it while it has focus. Options are
+// { value, label, group? }. Values that aren't among the options - typed in, or saved
+// before the options were loaded from JIRA - are kept, and flagged once options are verified.
+class MultiSelect {
+    constructor(element, { placeholder = 'Search...', options = [] } = {}) {
+        this.element = element;
+        this.options = options;
+        // Options passed in up front are suggestions; setOptions() installs the site's real ones
+        this.verified = false;
+        this.values = [];
+        this.matches = [];
+        this.activeIndex = 0;
+        
+        element.classList.add('multi-select');
+        element.innerHTML = `
+            <div class="multi-select-field">
+                <span class="multi-select-chips"></span>
+                <input type="text" class="multi-select-input" autocomplete="off">
+            </div>
+            <ul class="multi-select-options hidden"></ul>
+        `;
+        this.chips = element.querySelector('.multi-select-chips');
+        this.input = element.querySelector('.multi-select-input');
+        this.list = element.querySelector('.multi-select-options');
+        this.input.placeholder = placeholder;
+        
+        element.querySelector('.multi-select-field').addEventListener('click', () => this.input.focus());
+        this.input.addEventListener('focus', () => this.renderOptions());
+        this.input.addEventListener('input', () => this.renderOptions());
+        this.input.addEventListener('blur', () => this.list.classList.add('hidden'));
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        
+        // Keep focus in the search box while an option is clicked
+        this.list.addEventListener('mousedown', (e) => e.preventDefault());
+        this.list.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-index]');
+            if (item) {
+                this.pick(this.matches[Number(item.dataset.index)]);
+            }
+        });
+        this.chips.addEventListener('click', (e) => {
+            const button = e.target.closest('button');
+            if (button) {
+                this.remove(this.values[Number(button.dataset.index)]);
+            }
+        });
+    }
+
+    setOptions(options) {
+        this.options = options;
+        this.verified = true;
+        this.renderChips();
+        
+        if (document.activeElement === this.input) {
+            this.renderOptions();
+        }
+    }
+
+    getValues() {
+        return [...this.values];
+    }
+
+    setValues(values) {
+        this.values = [];
+        values.forEach(value => {
+            if (!this.values.some(existing => this.isSame(existing, value))) {
+                this.values.push(value);
+            }
+        });
+        this.renderChips();
+    }
+
+    // Values JIRA doesn't know, of the chosen ones or of a list kept elsewhere; nothing is
+    // flagged until options are verified
+    getUnknownValues(values = this.values) {
+        return this.verified ? values.filter(value => !this.findOption(value)) : [];
+    }
+
+    // JQL matches names case-insensitively, so "done" and "Done" are the same value
+    isSame(a, b) {
+        return a.toLowerCase() === b.toLowerCase();
+    }
+
+    findOption(value) {
+        return this.options.find(option => this.isSame(option.value, value)) || null;
+    }
+
+    add(value) {
+        const trimmed = value.trim();
+        if (!trimmed || this.values.some(existing => this.isSame(existing, trimmed))) return;
+        
+        // Typed values take the spelling JIRA uses when it knows them
+        this.values.push(this.findOption(trimmed)?.value || trimmed);
+        this.renderChips();
+    }
+
+    remove(value) {
+        this.values = this.values.filter(existing => existing !== value);
+        this.renderChips();
+    }
+
+    pick(match) {
+        if (!match) return;
+        
+        this.add(match.value);
+        this.input.value = '';
+        this.renderOptions();
+    }
+
+    renderChips() {
+        this.chips.innerHTML = '';
+        
+        this.values.forEach((value, index) => {
+            const option = this.findOption(value);
+            const chip = document.createElement('span');
+            chip.className = 'multi-select-chip';
+            chip.textContent = option?.label || value;
+            
+            if (this.verified && !option) {
+                chip.classList.add('unknown');
+                chip.title = 'Not found on your JIRA site';
+            }
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.dataset.index = index;
+            remove.title = 'Remove';
+            remove.textContent = '×';
+            chip.appendChild(remove);
+            this.chips.appendChild(chip);
+        });
+    }
+
+    // Every typed word has to appear in the label; chosen values aren't offered again
+    renderOptions() {
+        const text = this.input.value.trim();
+        const terms = text.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        this.matches = this.options
+            .filter(option => !this.values.some(value => this.isSame(value, option.value)))
+            .filter(option => terms.every(term => option.label.toLowerCase().includes(term)))
+            // Long lists like custom fields are narrowed by typing rather than scrolling
+            .slice(0, 100);
+        
+        if (text && !this.findOption(text) && !this.values.some(value => this.isSame(value, text))) {
+            this.matches.push({ value: text, label: `Add "${text}"`, custom: true });
+        }
+        
+        this.activeIndex = 0;
+        this.list.innerHTML = '';
+        let group = null;
+        
+        this.matches.forEach((match, index) => {
+            if (match.group && match.group !== group) {
+                group = match.group;
+                const heading = document.createElement('li');
+                heading.className = 'multi-select-group';
+                heading.textContent = group;
+                this.list.appendChild(heading);
+            }
+            
+            const item = document.createElement('li');
+            item.className = 'multi-select-option';
+            item.classList.toggle('custom', !!match.custom);
+            item.classList.toggle('active', index === this.activeIndex);
+            item.dataset.index = index;
+            item.textContent = match.label;
+            this.list.appendChild(item);
+        });
+        
+        if (this.matches.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'multi-select-empty';
+            empty.textContent = this.options.length > 0 ? 'No matches' : 'Type a value and press Enter';
+            this.list.appendChild(empty);
+        }
+        
+        this.list.classList.remove('hidden');
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (this.matches.length === 0) return;
+            
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            this.setActive((this.activeIndex + step + this.matches.length) % this.matches.length);
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            this.pick(this.matches[this.activeIndex]);
+        } else if (e.key === 'Backspace' && !this.input.value && this.values.length > 0) {
+            this.remove(this.values[this.values.length - 1]);
+        } else if (e.key === 'Escape') {
+            this.list.classList.add('hidden');
+        }
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.list.querySelectorAll('.multi-select-option').forEach(item => {
+            item.classList.toggle('active', Number(item.dataset.index) === index);
+        });
+        this.list.querySelector('.multi-select-option.active').scrollIntoView({ block: 'nearest' });
+    }
+}
@@ -1,4 +1,23 @@
+const jiraApi = new JiraAPI();
+const backup = new Backup();
+const CONNECTION_COLORS = ['#667eea', '#28a745', '#fd7e14', '#e83e8c', '#17a2b8', '#6f42c1'];
+let connections = [];
+let selectedConnectionId = null;
+// Tokens per connection id; saved to local storage, never synced
+let connectionTokens = {};
+let savedQueries = [];
+let selectedQueryId = null;
+// Searchable pickers, filled with the statuses, projects, issue types and fields of the configured sites
+let statusSelect = null;
+let projectSelect = null;
+let issueTypeSelect = null;
+let customFieldSelect = null;
+let metadataGeneration = 0;
+// Whether every connection answered the last load, so values missing from the pickers are really unknown
+let metadataComplete = false;
+
 document.addEventListener('DOMContentLoaded', () => {
+    createPickers();
     loadSettings();
     
     document.getElementById('saveBtn').addEventListener('click', saveSettings);
@@ -6,17 +25,34 @@ document.addEventListener('DOMContentLoaded', () => {
     
     document.getElementById('jiraType').addEventListener('change', (e) => {
         updateUrlPlaceholder(e.target.value);
+        updateAuthFields();
     });
+    document.getElementById('authMethod').addEventListener('change', updateAuthFields);
     
-    // Handle quick status buttons
-    document.querySelectorAll('.status-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            toggleStatus(e.target.dataset.status);
+    document.getElementById('addConnectionBtn').addEventListener('click', addConnection);
+    document.getElementById('deleteConnectionBtn').addEventListener('click', deleteConnection);
+    ['connectionName', 'connectionColor'].forEach(id => {
+        document.getElementById(id).addEventListener('input', () => {
+            storeConnectionForm();
+            renderConnectionList();
+            renderQueryConnections(getSelectedQuery());
         });
     });
     
-    // Update button states when textarea changes
-    document.getElementById('excludedStatuses').addEventListener('input', updateStatusButtons);
+    document.getElementById('addQueryBtn').addEventListener('click', addQuery);
+    document.getElementById('deleteQueryBtn').addEventListener('click', deleteQuery);
+    document.getElementById('queryMode').addEventListener('change', (e) => {
+        updateQueryModeFields(e.target.value);
+    });
+    document.getElementById('queryName').addEventListener('input', () => {
+        storeQueryForm();
+        renderQueryList();
+    });
+    
+    document.getElementById('exportSettingsBtn').addEventListener('click', exportSettings);
+    document.getElementById('exportMarkdownBtn').addEventListener('click', () => exportTaskList('markdown'));
+    document.getElementById('exportCsvBtn').addEventListener('click', () => exportTaskList('csv'));
+    document.getElementById('importBtn').addEventListener('click', importSettings);
 });
 
 function loadSettings() {
@@ -24,107 +60,347 @@ function loadSettings() {
         jiraType: 'cloud',
         jiraUrl: '',
         username: '',
+        authMethod: 'session',
+        connections: [],
         includeAssigned: true,
         includeReviewer: false,
         excludedStatuses: 'Done, Closed, Resolved',
+        savedQueries: [],
         maxTasks: 50,
+        showInbox: true,
+        inboxDays: 14,
         showPriority: true,
         showStatus: true,
-        autoRefresh: true
+        cardFields: JiraAPI.DEFAULT_CARD_FIELDS,
+        cardCustomFields: [],
+        cardDensity: 'comfortable',
+        autoRefresh: true,
+        pollInterval: 5,
+        notifyAssigned: true,
+        notifyStatus: true,
+        notifyPriority: true,
+        notifyComments: true,
+        badgeMode: 'count',
+        badgeColor: '#667eea',
+        badgeAlertColor: '#d73a49',
+        badgeAlertPriority: 'highest'
     }, (settings) => {
-        document.getElementById('jiraType').value = settings.jiraType;
-        document.getElementById('jiraUrl').value = settings.jiraUrl;
-        document.getElementById('username').value = settings.username;
-        document.getElementById('includeAssigned').checked = settings.includeAssigned;
-        document.getElementById('includeReviewer').checked = settings.includeReviewer;
-        document.getElementById('excludedStatuses').value = settings.excludedStatuses;
         document.getElementById('maxTasks').value = settings.maxTasks;
+        document.getElementById('showInbox').checked = settings.showInbox;
+        document.getElementById('inboxDays').value = settings.inboxDays;
         document.getElementById('showPriority').checked = settings.showPriority;
         document.getElementById('showStatus').checked = settings.showStatus;
+        document.querySelectorAll('input[name="cardField"]').forEach(input => {
+            input.checked = settings.cardFields.includes(input.value);
+        });
+        customFieldSelect.setValues(settings.cardCustomFields);
+        document.getElementById('cardDensity').value = settings.cardDensity;
         document.getElementById('autoRefresh').checked = settings.autoRefresh;
+        document.getElementById('pollInterval').value = settings.pollInterval;
+        document.getElementById('notifyAssigned').checked = settings.notifyAssigned;
+        document.getElementById('notifyStatus').checked = settings.notifyStatus;
+        document.getElementById('notifyPriority').checked = settings.notifyPriority;
+        document.getElementById('notifyComments').checked = settings.notifyComments;
+        document.getElementById('badgeMode').value = settings.badgeMode;
+        document.getElementById('badgeColor').value = settings.badgeColor;
+        document.getElementById('badgeAlertColor').value = settings.badgeAlertColor;
+        document.getElementById('badgeAlertPriority').value = settings.badgeAlertPriority;
+        
+        connections = jiraApi.getConnections(settings).map(connection => ({ ...connection }));
+        if (connections.length === 0) {
+            connections.push(createConnection());
+        }
+        selectedConnectionId = connections[0].id;
         
-        updateUrlPlaceholder(settings.jiraType);
-        updateStatusButtons();
+        savedQueries = jiraApi.getSavedQueries(settings).map(query => ({ ...query }));
+        selectedQueryId = savedQueries[0].id;
+        
+        chrome.storage.local.get({ apiTokens: {}, apiToken: '' }, (secrets) => {
+            connectionTokens = { ...secrets.apiTokens };
+            // The single token saved before multiple connections existed belongs to the first one
+            if (secrets.apiToken && !connectionTokens.default) {
+                connectionTokens.default = secrets.apiToken;
+            }
+            
+            renderConnectionList();
+            fillConnectionForm(getSelectedConnection());
+            renderQueryList();
+            fillQueryForm(getSelectedQuery());
+            loadMetadata();
+        });
     });
 }
 
-function saveSettings() {
+async function saveSettings() {
+    storeConnectionForm();
+    storeQueryForm();
+    
     const settings = {
-        jiraType: document.getElementById('jiraType').value,
-        jiraUrl: document.getElementById('jiraUrl').value.trim(),
-        username: document.getElementById('username').value.trim(),
-        includeAssigned: document.getElementById('includeAssigned').checked,
-        includeReviewer: document.getElementById('includeReviewer').checked,
-        excludedStatuses: document.getElementById('excludedStatuses').value,
+        connections: connections,
+        savedQueries: savedQueries,
         maxTasks: parseInt(document.getElementById('maxTasks').value, 10),
+        showInbox: document.getElementById('showInbox').checked,
+        inboxDays: Math.min(90, Math.max(1, parseInt(document.getElementById('inboxDays').value, 10) || 14)),
         showPriority: document.getElementById('showPriority').checked,
         showStatus: document.getElementById('showStatus').checked,
-        autoRefresh: document.getElementById('autoRefresh').checked
+        cardFields: [...document.querySelectorAll('input[name="cardField"]:checked')].map(input => input.value),
+        cardCustomFields: customFieldSelect.getValues().map(id => id.toLowerCase()),
+        cardDensity: document.getElementById('cardDensity').value,
+        autoRefresh: document.getElementById('autoRefresh').checked,
+        pollInterval: Math.max(1, parseInt(document.getElementById('pollInterval').value, 10) || 5),
+        notifyAssigned: document.getElementById('notifyAssigned').checked,
+        notifyStatus: document.getElementById('notifyStatus').checked,
+        notifyPriority: document.getElementById('notifyPriority').checked,
+        notifyComments: document.getElementById('notifyComments').checked,
+        badgeMode: document.getElementById('badgeMode').value,
+        badgeColor: document.getElementById('badgeColor').value,
+        badgeAlertColor: document.getElementById('badgeAlertColor').value,
+        badgeAlertPriority: document.getElementById('badgeAlertPriority').value
     };
     
-    if (!settings.jiraUrl) {
-        showStatus('Please enter a JIRA URL', 'error');
+    for (const connection of connections) {
+        const error = validateConnection(connection);
+        if (error) {
+            selectConnection(connection.id);
+            showStatus(connections.length > 1 ? `${connection.name || 'Untitled connection'}: ${error}` : error, 'error');
+            return;
+        }
+    }
+    
+    const invalidFieldId = settings.cardCustomFields.find(id => !/^customfield_\d+$/.test(id));
+    if (invalidFieldId) {
+        showStatus(`"${invalidFieldId}" is not a custom field id - they look like customfield_10010`, 'error');
         return;
     }
     
-    if (!settings.jiraUrl.startsWith('http://') && !settings.jiraUrl.startsWith('https://')) {
-        settings.jiraUrl = 'https://' + settings.jiraUrl;
+    const unreachableQuery = savedQueries.find(query => query.connectionIds === null
+        || (query.connectionIds?.length > 0 && !connections.some(connection => query.connectionIds.includes(connection.id))));
+    if (unreachableQuery) {
+        selectQuery(unreachableQuery.id);
+        showStatus(`Query "${unreachableQuery.name}" needs at least one connection to run on`, 'error');
+        return;
     }
     
-    try {
-        new URL(settings.jiraUrl);
-    } catch (e) {
-        showStatus('Please enter a valid URL', 'error');
+    const invalidQuery = savedQueries.find(query => !query.name.trim() || (query.mode === 'jql' && !query.jql.trim()));
+    if (invalidQuery) {
+        selectQuery(invalidQuery.id);
+        showStatus(invalidQuery.name.trim() ? `Query "${invalidQuery.name}" needs JQL` : 'Every query needs a name', 'error');
         return;
     }
     
-    chrome.storage.sync.set(settings, () => {
-        if (chrome.runtime.lastError) {
-            showStatus('Failed to save settings: ' + chrome.runtime.lastError.message, 'error');
-        } else {
-            showStatus('Settings saved successfully!', 'success');
-            // Notify all tabs to refresh their tasks
-            chrome.runtime.sendMessage({ action: 'settings-updated' }, () => {
-                if (chrome.runtime.lastError) {
-                    // Options page might be opened standalone, not as extension
-                    // Extension context may not be available
-                }
+    const unknownValues = findUnknownValues();
+    if (unknownValues) {
+        const where = connections.length > 1 ? 'any of your JIRA sites' : 'your JIRA site';
+        const values = unknownValues.values.map(value => `"${value}"`).join(', ');
+        if (unknownValues.query) {
+            selectQuery(unknownValues.query.id);
+        }
+        showStatus(`${unknownValues.query ? `Query "${unknownValues.query.name}": ` : ''}${unknownValues.label} ${values} not found on ${where}`, 'error');
+        return;
+    }
+    
+    showStatus('Checking queries with JIRA...', '');
+    const jqlProblem = await findInvalidJql();
+    if (jqlProblem) {
+        selectQuery(jqlProblem.query.id);
+        const where = connections.length > 1 ? ` on ${jqlProblem.connection.name}` : '';
+        showStatus(`Query "${jqlProblem.query.name}"${where} has invalid JQL: ${jqlProblem.errors.join(' ')}`, 'error');
+        return;
+    }
+    
+    // Tokens go to local storage so they never leave this device; connections
+    // that use the browser session forget theirs
+    const apiTokens = {};
+    connections
+        .filter(connection => connection.authMethod === 'token')
+        .forEach(connection => { apiTokens[connection.id] = connectionTokens[connection.id]; });
+    
+    const secretsSaved = new Promise((resolve) => {
+        chrome.storage.local.set({ apiTokens: apiTokens }, resolve);
+    });
+    
+    chrome.storage.sync.set(settings, async () => {
+        const saveError = chrome.runtime.lastError;
+        await secretsSaved;
+        
+        if (saveError) {
+            showStatus('Failed to save settings: ' + saveError.message, 'error');
+            return;
+        }
+        
+        // The single-connection fields now live in `connections`; they're kept until
+        // the connections are saved, so a failed save still leaves a working setup
+        await new Promise((resolve) => {
+            chrome.storage.sync.remove(['jiraType', 'jiraUrl', 'username', 'authMethod'], () => {
+                chrome.storage.local.remove('apiToken', resolve);
             });
+        });
+        
+        showStatus('Settings saved successfully!', 'success');
+        notifySettingsUpdated();
+    });
+}
+
+// Tells the background and any open side panel to pick up the new settings
+function notifySettingsUpdated() {
+    chrome.runtime.sendMessage({ action: 'settings-updated' }, () => {
+        if (chrome.runtime.lastError) {
+            // Options page might be opened standalone, not as extension
+            // Extension context may not be available
         }
     });
 }
 
+// Tests the connections as they are in the form, so nothing has to be saved first
 async function testConnection() {
-    const saveBtn = document.getElementById('saveBtn');
-    saveBtn.click();
-    
-    setTimeout(async () => {
-        const statusEl = document.getElementById('status');
-        statusEl.className = 'status-message';
-        statusEl.textContent = 'Testing connection...';
-        statusEl.style.display = 'block';
+    storeConnectionForm();
+    
+    for (const connection of connections) {
+        const error = validateConnection(connection);
+        if (error) {
+            selectConnection(connection.id);
+            showStatus(connections.length > 1 ? `${connection.name || 'Untitled connection'}: ${error}` : error, 'error');
+            return;
+        }
+    }
+    
+    showStatus('Testing connection...', '');
+    
+    try {
+        const results = await Promise.all(connections.map(async (connection) => {
+            const result = await getConnectionApi(connection).testConnection();
+            return connections.length > 1 ? { ...result, message: `${connection.name}: ${result.message}` } : result;
+        }));
+        
+        showStatus(results.map(result => result.message).join('\n'), results.every(result => result.success) ? 'success' : 'error');
         
+        if (results.some(result => result.success)) {
+            loadMetadata();
+        }
+    } catch (error) {
+        showStatus('Connection test failed: ' + error.message, 'error');
+    }
+}
+
+function getConnectionApi(connection) {
+    return new JiraAPI(connection.id).useConnection(connection, connectionTokens[connection.id]);
+}
+
+function createPickers() {
+    statusSelect = new MultiSelect(document.getElementById('excludedStatuses'), {
+        placeholder: 'Search statuses...',
+        // Offered until the site's own statuses have been loaded
+        options: ['Done', 'Closed', 'Resolved', 'Complete', 'Canceled', 'Rejected'].map(name => ({ value: name, label: name }))
+    });
+    projectSelect = new MultiSelect(document.getElementById('queryProjects'), { placeholder: 'All projects' });
+    issueTypeSelect = new MultiSelect(document.getElementById('queryIssueTypes'), { placeholder: 'All issue types' });
+    customFieldSelect = new MultiSelect(document.getElementById('cardCustomFields'), { placeholder: 'Search fields...' });
+}
+
+// Fills the pickers from every connection that answers. Sites that can't be reached
+// leave the pickers as they are, and values can still be typed in.
+async function loadMetadata() {
+    const generation = ++metadataGeneration;
+    metadataComplete = false;
+    const reachable = connections.filter(connection => !validateConnection(connection));
+    if (reachable.length === 0) return;
+    
+    const statusEl = document.getElementById('metadataStatus');
+    statusEl.textContent = 'Loading statuses, projects and fields from JIRA...';
+    
+    const results = await Promise.all(reachable.map(async (connection) => {
+        const api = getConnectionApi(connection);
         try {
-            const script = document.createElement('script');
-            script.src = '../js/jiraApi.js';
-            document.head.appendChild(script);
-            
-            await new Promise(resolve => {
-                script.onload = resolve;
-            });
-            
-            const api = new JiraAPI();
-            const result = await api.testConnection();
-            
-            if (result.success) {
-                showStatus(result.message, 'success');
-            } else {
-                showStatus(result.message, 'error');
+            const [statuses, projects, issueTypes, customFields] = await Promise.all([
+                api.getStatuses(), api.getProjects(), api.getIssueTypes(), api.getCustomFields()
+            ]);
+            return { connection, statuses, projects, issueTypes, customFields };
+        } catch (error) {
+            return { connection, error };
+        }
+    }));
+    
+    // A connection test started a newer load meanwhile
+    if (generation !== metadataGeneration) return;
+    
+    const loaded = results.filter(result => !result.error);
+    const failed = results.filter(result => result.error);
+    metadataComplete = failed.length === 0 && reachable.length === connections.length;
+    
+    statusEl.textContent = failed.length > 0
+        ? `Could not load statuses and projects from ${failed.map(result => result.connection.name).join(', ')}: ${failed[0].error.message} You can still type values in.`
+        : '';
+    
+    if (loaded.length === 0) return;
+    
+    // The same name or key on two sites is offered once
+    const unique = (items, getKey) => [...new Map(items.map(item => [getKey(item).toLowerCase(), item])).values()];
+    const categoryOrder = ['To Do', 'In Progress', 'Done'];
+    const categoryRank = (category) => categoryOrder.includes(category) ? categoryOrder.indexOf(category) : categoryOrder.length;
+    
+    statusSelect.setOptions(unique(loaded.flatMap(result => result.statuses), status => status.name)
+        .sort((a, b) => categoryRank(a.category) - categoryRank(b.category) || a.name.localeCompare(b.name))
+        .map(status => ({ value: status.name, label: status.name, group: status.category })));
+    projectSelect.setOptions(unique(loaded.flatMap(result => result.projects), project => project.key)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(project => ({ value: project.key, label: `${project.name} (${project.key})` })));
+    issueTypeSelect.setOptions(unique(loaded.flatMap(result => result.issueTypes), type => type.name)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(type => ({ value: type.name, label: type.name })));
+    customFieldSelect.setOptions(unique(loaded.flatMap(result => result.customFields), field => field.id)
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(field => ({ value: field.id, label: `${field.name} (${field.id})` })));
+}
+
+function getExcludedStatuses(query) {
+    return (query.excludedStatuses || '').split(/[,\n]/).map(s => s.trim()).filter(s => s);
+}
+
+// Catches typos in picked values before saving. Only checked once every site has sent
+// its values, so one that can't be reached doesn't get its statuses or projects flagged.
+function findUnknownValues() {
+    if (!metadataComplete) return null;
+    
+    for (const query of savedQueries.filter(q => q.mode === 'builder')) {
+        const fields = [
+            ['Status', statusSelect, getExcludedStatuses(query)],
+            ['Project', projectSelect, query.projects || []],
+            ['Issue type', issueTypeSelect, query.issueTypes || []]
+        ];
+        for (const [label, picker, values] of fields) {
+            const unknown = picker.getUnknownValues(values);
+            if (unknown.length > 0) {
+                return { query, label, values: unknown };
             }
+        }
+    }
+    
+    const unknownFields = customFieldSelect.getUnknownValues();
+    return unknownFields.length > 0 ? { query: null, label: 'Custom field', values: unknownFields } : null;
+}
+
+/**
+ * Asks each connection to check the JQL of the queries that run on it, before they are
+ * saved. Resolves with the first query JIRA rejects, or null. Sites that can't be
+ * reached are skipped rather than blocking the save.
+ */
+async function findInvalidJql() {
+    const checks = savedQueries.flatMap(query => connections
+        .filter(connection => !query.connectionIds?.length || query.connectionIds.includes(connection.id))
+        .map(connection => ({ query, connection })));
+    
+    const results = await Promise.all(checks.map(async ({ query, connection }) => {
+        try {
+            const api = getConnectionApi(connection);
+            const errors = await api.validateJql(api.buildJql(query));
+            return errors.length > 0 ? { query, connection, errors } : null;
         } catch (error) {
-            showStatus('Connection test failed: ' + error.message, 'error');
+            console.error('Could not check JQL:', error.message);
+            return null;
         }
-    }, 500);
+    }));
+    
+    return results.find(Boolean) || null;
 }
 
 function updateUrlPlaceholder(jiraType) {
@@ -136,6 +412,30 @@ function updateUrlPlaceholder(jiraType) {
     }
 }
 
+function updateAuthFields() {
+    const isCloud = document.getElementById('jiraType').value === 'cloud';
+    const useToken = document.getElementById('authMethod').value === 'token';
+    const tokenName = isCloud ? 'API token' : 'personal access token';
+    
+    document.querySelector('#authMethod option[value="token"]').textContent = isCloud ? 'API token (email + token)' : 'Personal access token';
+    document.getElementById('authMethodHint').textContent = useToken
+        ? (isCloud
+            ? 'Create an API token at id.atlassian.com under Security > API tokens.'
+            : 'Create a personal access token in JIRA under Profile > Personal Access Tokens.')
+        : 'Uses the cookies of your JIRA login in this browser. Switch to a token if SSO or cookie settings get in the way.';
+    
+    document.getElementById('tokenFields').classList.toggle('hidden', !useToken);
+    document.getElementById('apiTokenLabel').textContent = isCloud ? 'API token' : 'Personal access token';
+    document.getElementById('apiToken').placeholder = `Your ${tokenName}`;
+    
+    // Cloud basic auth needs the account email alongside the token
+    const needsEmail = useToken && isCloud;
+    document.getElementById('usernameLabel').textContent = needsEmail ? 'Atlassian account email' : 'Your Username/Email (optional)';
+    document.getElementById('usernameHint').textContent = needsEmail
+        ? 'Sent together with the API token to sign in.'
+        : 'Used to identify your tasks. Leave empty to auto-detect.';
+}
+
 function showStatus(message, type) {
     const statusEl = document.getElementById('status');
     statusEl.textContent = message;
@@ -149,40 +449,345 @@ function showStatus(message, type) {
     }
 }
 
-function toggleStatus(status) {
-    const textarea = document.getElementById('excludedStatuses');
-    const currentStatuses = textarea.value
-        .split(/[,\n]/)
-        .map(s => s.trim())
-        .filter(s => s);
+function createConnection() {
+    return {
+        id: `c${Date.now().toString(36)}`,
+        name: connections.length === 0 ? 'JIRA' : `Connection ${connections.length + 1}`,
+        color: CONNECTION_COLORS[connections.length % CONNECTION_COLORS.length],
+        jiraType: 'cloud',
+        jiraUrl: '',
+        username: '',
+        authMethod: 'session',
+        jqlFilter: ''
+    };
+}
+
+function getSelectedConnection() {
+    return connections.find(connection => connection.id === selectedConnectionId);
+}
+
+function renderConnectionList() {
+    const list = document.getElementById('connectionList');
+    list.innerHTML = '';
+    
+    connections.forEach(connection => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'query-item';
+        item.classList.toggle('active', connection.id === selectedConnectionId);
+        
+        const swatch = document.createElement('span');
+        swatch.className = 'connection-swatch';
+        swatch.style.setProperty('--connection-color', connection.color);
+        item.append(swatch, connection.name || 'Untitled');
+        
+        item.addEventListener('click', () => selectConnection(connection.id));
+        list.appendChild(item);
+    });
+    
+    document.getElementById('deleteConnectionBtn').disabled = connections.length < 2;
+}
+
+function selectConnection(connectionId) {
+    storeConnectionForm();
+    selectedConnectionId = connectionId;
+    renderConnectionList();
+    fillConnectionForm(getSelectedConnection());
+}
+
+function fillConnectionForm(connection) {
+    document.getElementById('connectionName').value = connection.name;
+    document.getElementById('connectionColor').value = connection.color;
+    document.getElementById('jiraType').value = connection.jiraType;
+    document.getElementById('jiraUrl').value = connection.jiraUrl;
+    document.getElementById('authMethod').value = connection.authMethod || 'session';
+    document.getElementById('username').value = connection.username || '';
+    document.getElementById('apiToken').value = connectionTokens[connection.id] || '';
+    document.getElementById('connectionJql').value = connection.jqlFilter || '';
+    
+    updateUrlPlaceholder(connection.jiraType);
+    updateAuthFields();
+}
+
+// Write the editor back into the selected connection before switching away or saving
+function storeConnectionForm() {
+    const connection = getSelectedConnection();
+    if (!connection) return;
+    
+    connection.name = document.getElementById('connectionName').value.trim();
+    connection.color = document.getElementById('connectionColor').value;
+    connection.jiraType = document.getElementById('jiraType').value;
+    connection.jiraUrl = document.getElementById('jiraUrl').value.trim();
+    connection.authMethod = document.getElementById('authMethod').value;
+    connection.username = document.getElementById('username').value.trim();
+    connection.jqlFilter = document.getElementById('connectionJql').value.trim();
+    connectionTokens[connection.id] = document.getElementById('apiToken').value.trim();
+}
+
+// Returns an error message, normalising the URL on the way
+function validateConnection(connection) {
+    if (!connection.name) {
+        return 'Every connection needs a name';
+    }
+    
+    if (!connection.jiraUrl) {
+        return 'Please enter a JIRA URL';
+    }
+    
+    if (!connection.jiraUrl.startsWith('http://') && !connection.jiraUrl.startsWith('https://')) {
+        connection.jiraUrl = 'https://' + connection.jiraUrl;
+    }
+    
+    try {
+        new URL(connection.jiraUrl);
+    } catch (e) {
+        return 'Please enter a valid URL';
+    }
+    
+    if (connection.authMethod === 'token') {
+        if (!connectionTokens[connection.id]) {
+            return `Please enter your ${connection.jiraType === 'cloud' ? 'API token' : 'personal access token'}`;
+        }
+        
+        if (connection.jiraType === 'cloud' && !connection.username) {
+            return 'API tokens need the email address of your Atlassian account';
+        }
+    }
+    
+    return null;
+}
+
+function addConnection() {
+    storeConnectionForm();
+    
+    const connection = createConnection();
+    connections.push(connection);
+    selectConnection(connection.id);
+    renderQueryConnections(getSelectedQuery());
+    document.getElementById('connectionName').select();
+}
+
+function deleteConnection() {
+    if (connections.length < 2) return;
+    
+    const index = connections.findIndex(connection => connection.id === selectedConnectionId);
+    const [removed] = connections.splice(index, 1);
+    delete connectionTokens[removed.id];
+    selectedConnectionId = connections[Math.max(0, index - 1)].id;
+    
+    // Queries limited to the removed connection fall back to running everywhere
+    savedQueries
+        .filter(query => query.connectionIds)
+        .forEach(query => {
+            query.connectionIds = query.connectionIds.filter(id => id !== removed.id);
+        });
+    
+    renderConnectionList();
+    fillConnectionForm(getSelectedConnection());
+    renderQueryConnections(getSelectedQuery());
+}
+
+function getSelectedQuery() {
+    return savedQueries.find(query => query.id === selectedQueryId);
+}
+
+function renderQueryList() {
+    const list = document.getElementById('queryList');
+    list.innerHTML = '';
+    
+    savedQueries.forEach(query => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'query-item';
+        item.classList.toggle('active', query.id === selectedQueryId);
+        item.textContent = query.name || 'Untitled';
+        item.addEventListener('click', () => selectQuery(query.id));
+        list.appendChild(item);
+    });
+    
+    document.getElementById('deleteQueryBtn').disabled = savedQueries.length < 2;
+    renderExportQueries();
+}
+
+function selectQuery(queryId) {
+    storeQueryForm();
+    selectedQueryId = queryId;
+    renderQueryList();
+    fillQueryForm(getSelectedQuery());
+}
+
+function fillQueryForm(query) {
+    document.getElementById('queryName').value = query.name;
+    document.getElementById('queryMode').value = query.mode;
+    document.getElementById('includeAssigned').checked = query.includeAssigned;
+    document.getElementById('includeReviewer').checked = query.includeReviewer;
+    statusSelect.setValues(getExcludedStatuses(query));
+    projectSelect.setValues(query.projects || []);
+    issueTypeSelect.setValues(query.issueTypes || []);
+    document.getElementById('queryJql').value = query.jql;
+    
+    renderQueryConnections(query);
+    updateQueryModeFields(query.mode);
+}
+
+// Write the editor back into the selected query before switching away or saving
+function storeQueryForm() {
+    const query = getSelectedQuery();
+    if (!query) return;
     
-    const index = currentStatuses.findIndex(s => s.toLowerCase() === status.toLowerCase());
+    query.name = document.getElementById('queryName').value.trim();
+    query.mode = document.getElementById('queryMode').value;
+    query.includeAssigned = document.getElementById('includeAssigned').checked;
+    query.includeReviewer = document.getElementById('includeReviewer').checked;
+    query.excludedStatuses = statusSelect.getValues().join(', ');
+    query.projects = projectSelect.getValues();
+    query.issueTypes = issueTypeSelect.getValues();
+    query.jql = document.getElementById('queryJql').value.trim();
     
-    if (index === -1) {
-        // Add status
-        currentStatuses.push(status);
+    // Ticking every connection stores an empty list, so connections added later are included.
+    // Ticking none is kept as null until saving rejects it.
+    const checked = Array.from(document.querySelectorAll('#queryConnections input:checked')).map(input => input.value);
+    if (checked.length === 0) {
+        query.connectionIds = null;
     } else {
-        // Remove status
-        currentStatuses.splice(index, 1);
+        query.connectionIds = checked.length === connections.length ? [] : checked;
     }
+}
+
+function renderQueryConnections(query) {
+    const container = document.getElementById('queryConnections');
+    const connectionIds = query?.connectionIds;
+    container.innerHTML = '';
     
-    textarea.value = currentStatuses.join(',');
-    updateStatusButtons();
+    connections.forEach(connection => {
+        const label = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = connection.id;
+        checkbox.checked = connectionIds !== null
+            && (!connectionIds || connectionIds.length === 0 || connectionIds.includes(connection.id));
+        label.append(checkbox, connection.name || 'Untitled');
+        container.appendChild(label);
+    });
+    
+    // Nothing to choose between with a single connection
+    document.getElementById('queryConnectionsField').classList.toggle('hidden', connections.length < 2);
+}
+
+function updateQueryModeFields(mode) {
+    document.getElementById('builderFields').classList.toggle('hidden', mode !== 'builder');
+    document.getElementById('jqlFields').classList.toggle('hidden', mode !== 'jql');
 }
 
-function updateStatusButtons() {
-    const textarea = document.getElementById('excludedStatuses');
-    const currentStatuses = textarea.value
-        .split(/[,\n]/)
-        .map(s => s.trim().toLowerCase())
-        .filter(s => s);
+function addQuery() {
+    const query = {
+        id: `q${Date.now().toString(36)}`,
+        name: `Query ${savedQueries.length + 1}`,
+        mode: 'builder',
+        includeAssigned: true,
+        includeReviewer: false,
+        excludedStatuses: 'Done, Closed, Resolved',
+        projects: [],
+        issueTypes: [],
+        jql: '',
+        connectionIds: []
+    };
     
-    document.querySelectorAll('.status-btn').forEach(btn => {
-        const btnStatus = btn.dataset.status.toLowerCase();
-        if (currentStatuses.includes(btnStatus)) {
-            btn.classList.add('active');
+    savedQueries.push(query);
+    selectQuery(query.id);
+    document.getElementById('queryName').select();
+}
+
+function deleteQuery() {
+    if (savedQueries.length < 2) return;
+    
+    const index = savedQueries.findIndex(query => query.id === selectedQueryId);
+    savedQueries.splice(index, 1);
+    selectedQueryId = savedQueries[Math.max(0, index - 1)].id;
+    
+    renderQueryList();
+    fillQueryForm(getSelectedQuery());
+}
+
+function renderExportQueries() {
+    const select = document.getElementById('exportQuery');
+    const selected = select.value;
+    
+    select.innerHTML = '';
+    savedQueries.forEach(query => {
+        const option = document.createElement('option');
+        option.value = query.id;
+        option.textContent = query.name || 'Untitled';
+        select.appendChild(option);
+    });
+    
+    if (savedQueries.some(query => query.id === selected)) {
+        select.value = selected;
+    }
+}
+
+async function exportSettings() {
+    const includePersonal = document.getElementById('exportPersonal').checked;
+    const data = await backup.create(includePersonal);
+    const date = new Date().toISOString().slice(0, 10);
+    
+    downloadFile(`jira-todo-${includePersonal ? 'backup' : 'shared'}-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+async function exportTaskList(format) {
+    try {
+        const list = await backup.getTaskList(document.getElementById('exportQuery').value);
+        const fileName = list.name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'tasks';
+        
+        if (format === 'csv') {
+            downloadFile(`${fileName}.csv`, backup.toCsv(list), 'text/csv');
         } else {
-            btn.classList.remove('active');
+            downloadFile(`${fileName}.md`, backup.toMarkdown(list), 'text/markdown');
         }
-    });
-}
\ No newline at end of file
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+async function importSettings() {
+    const file = document.getElementById('importFile').files[0];
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    
+    if (!file) {
+        showStatus('Choose a backup file to import', 'error');
+        return;
+    }
+    
+    if (mode === 'replace' && !confirm('Replace all settings and queries, and any personal data the file contains, with the contents of this file?')) {
+        return;
+    }
+    
+    try {
+        let data;
+        try {
+            data = JSON.parse(await file.text());
+        } catch (error) {
+            throw new Error('Not a valid backup: the file is not JSON');
+        }
+        
+        await backup.restore(data, mode);
+        document.getElementById('importFile').value = '';
+        
+        loadSettings();
+        notifySettingsUpdated();
+        showStatus(mode === 'replace'
+            ? 'Settings replaced. Add API tokens for connections that use one.'
+            : 'Settings imported. Add API tokens for new connections that use one.', 'success');
+    } catch (error) {
+        showStatus(error.message, 'error');
+    }
+}
+
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+}
@@ -0,0 +1,61 @@
+// Private notes, tags and checklists attached to issues. They never leave this browser:
+// entries live in chrome.storage.local keyed by task uid, and unlike the task order they
+// are not pruned when an issue drops out of the results, so nothing is lost if it comes back.
+class PersonalNotes {
+    constructor() {
+        this.entries = {};
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['taskNotes'], (result) => {
+                this.entries = result.taskNotes || {};
+                resolve(this.entries);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ taskNotes: this.entries }, resolve);
+        });
+    }
+
+    get(uid) {
+        return this.entries[uid] || null;
+    }
+
+    // Key and summary are kept so notes stay recognisable while the issue isn't loaded
+    async update(task, changes) {
+        const entry = {
+            note: '',
+            tags: [],
+            checklist: [],
+            ...this.entries[task.uid],
+            ...changes,
+            key: task.key,
+            summary: task.summary,
+            updated: Date.now()
+        };
+        
+        if (entry.note.trim() || entry.tags.length > 0 || entry.checklist.length > 0) {
+            this.entries[task.uid] = entry;
+        } else {
+            delete this.entries[task.uid];
+        }
+        
+        await this.save();
+        return this.get(task.uid);
+    }
+
+    getTags(uid) {
+        return this.entries[uid]?.tags || [];
+    }
+
+    getSearchText(uid) {
+        const entry = this.entries[uid];
+        if (!entry) return '';
+        
+        return [entry.note, ...entry.tags, ...entry.checklist.map(item => item.text)].join(' ');
+    }
+}
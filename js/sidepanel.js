@@ -2,160 +2,2920 @@ class TaskManager {
     constructor() {
         this.tasks = [];
         this.taskOrder = [];
-        this.jiraApi = new JiraAPI();
+        this.taskOrders = {};
+        this.queries = [];
+        this.activeQueryId = null;
+        this.jiraApi = new JiraConnections();
+        this.docRenderer = new DocumentRenderer();
+        this.expandedKeys = new Set();
+        this.issueDetails = new Map();
+        this.drafts = new Map();
+        this.timeTracker = new TimeTracker();
+        this.personalNotes = new PersonalNotes();
+        this.localTodos = new LocalTodos();
+        this.dailyPlan = new DailyPlan();
+        this.dayViewMode = null;
+        this.snoozes = new Snoozes();
+        this.pinnedUids = [];
+        this.inbox = new Inbox();
+        this.inboxSettings = { showInbox: true, inboxDays: 14 };
+        this.inboxErrors = [];
+        this.inboxController = null;
+        this.noteSaveTimers = new Map();
+        this.timerTick = null;
+        this.timesheetState = { comments: {}, unselected: new Set(), errors: {} };
         this.draggedElement = null;
+        this.dragSource = null;
+        this.selectedUid = null;
+        this.commandPalette = new CommandPalette(document.getElementById('commandPalette'));
+        this.groupBy = 'none';
+        this.sortBy = 'manual';
+        this.cardLayout = {
+            showPriority: true,
+            showStatus: true,
+            fields: JiraAPI.DEFAULT_CARD_FIELDS,
+            customFields: [],
+            density: 'comfortable'
+        };
+        this.collapsedGroups = {};
+        this.taskView = new TaskView(this.jiraApi, this.personalNotes, this.docRenderer);
+        this.filters = this.taskView.getEmptyFilters();
+        this.visibleCount = 0;
         this.isLoading = false;
-        this.refreshInterval = null;
+        this.isLoadingMore = false;
+        // Aborted when a newer refresh, tab switch or background poll supersedes the request
+        this.loadController = null;
+        this.loadMoreController = null;
+        this.loadGeneration = 0;
+        this.nextPage = null;
+        this.totalTasks = null;
+        this.taskCache = {};
+        this.lastUpdated = null;
+        this.isStale = false;
         this.init();
     }
 
     async init() {
+        await this.loadQueries();
         await this.loadTaskOrder();
+        await this.loadViewState();
+        await this.loadCardLayout();
+        await this.loadTaskCache();
+        await this.timeTracker.load();
+        await this.personalNotes.load();
+        await this.localTodos.load();
+        await this.dailyPlan.load();
+        await this.snoozes.load();
+        await this.inbox.load();
+        this.renderQueryTabs();
+        this.setupLazyLoading();
+        this.showCachedTasks();
         this.attachEventListeners();
         this.setupMessageListener();
+        this.setupTimeTracking();
+        this.setupPersonalNotes();
+        this.setupLocalTodos();
+        this.setupDailyPlan();
+        this.setupPins();
+        this.setupSnoozes();
+        this.setupInbox();
+        this.setupQuickCreate();
+        chrome.runtime.sendMessage({ action: 'panel-opened' }).catch(() => {
+            // Background may be restarting
+        });
+        await this.loadTasks();
+        await this.loadInbox();
+    }
+
+    // The inbox isn't tied to a tab, so it's refreshed alongside whichever tab is shown
+    refresh() {
+        this.loadTasks();
+        this.loadInbox();
+    }
+
+    attachEventListeners() {
+        document.getElementById('refreshBtn').addEventListener('click', () => this.refresh());
+        document.getElementById('settingsBtn').addEventListener('click', () => {
+            chrome.runtime.openOptionsPage();
+        });
+        
+        document.getElementById('timesheetBtn').addEventListener('click', () => this.openTimesheet());
+        document.getElementById('closeTimesheetBtn').addEventListener('click', () => this.closeTimesheet());
+        document.getElementById('submitWorklogsBtn').addEventListener('click', () => this.submitWorklogs());
+        
+        document.getElementById('searchInput').addEventListener('input', (e) => {
+            this.filters.search = e.target.value;
+            this.saveFilters();
+            this.applyFilters();
+        });
+        
+        document.getElementById('filterToggle').addEventListener('click', () => this.toggleFilterPanel());
+        document.getElementById('filterPanel').addEventListener('click', (e) => {
+            const chip = e.target.closest('.filter-chip');
+            if (chip) {
+                this.toggleFilterValue(chip.dataset.dimension, chip.dataset.value);
+            } else if (e.target.closest('.filter-clear')) {
+                this.clearFilters();
+            }
+        });
+        
+        document.getElementById('groupBy').addEventListener('change', (e) => {
+            this.setGroupBy(e.target.value);
+        });
+        
+        document.getElementById('sortBy').addEventListener('change', (e) => {
+            this.setSortBy(e.target.value);
+        });
+        
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.transition-menu')) {
+                this.closeTransitionMenus();
+            }
+        });
+        
+        document.addEventListener('keydown', (e) => this.handleShortcut(e));
+        
+        // Clicked cards become the target of keyboard shortcuts
+        document.getElementById('taskList').addEventListener('click', (e) => {
+            const card = e.target.closest('.task-card');
+            if (card) {
+                this.selectCard(card, false);
+            }
+        });
+    }
+
+    // Single-key shortcuts only apply outside text fields; each one is also a palette command
+    handleShortcut(e) {
+        if (this.commandPalette.isOpen()) return;
+        
+        if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            this.openCommandPalette();
+            return;
+        }
+        
+        if (e.key === 'Escape') {
+            this.closeTransitionMenus();
+            if (e.target.closest('input, textarea, select')) {
+                e.target.blur();
+            }
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey || e.target.closest('input, textarea, select, [contenteditable]')) return;
+        
+        // An open transition menu takes the arrow keys; Enter clicks the focused entry as usual
+        const menu = e.target.closest('.transition-menu');
+        if (menu) {
+            if (['ArrowDown', 'ArrowUp', 'j', 'k'].includes(e.key)) {
+                e.preventDefault();
+                const items = [...menu.querySelectorAll('.transition-menu-item')];
+                const step = e.key === 'ArrowDown' || e.key === 'j' ? 1 : -1;
+                items[(items.indexOf(e.target) + step + items.length) % items.length]?.focus();
+            }
+            return;
+        }
+        
+        if (e.key === '?') {
+            e.preventDefault();
+            this.openCommandPalette();
+            return;
+        }
+        
+        // Leave Enter and Space on focused buttons and links alone
+        if ((e.key === 'Enter' || e.key === ' ') && e.target.closest('button, a')) return;
+        
+        const key = `${e.altKey ? 'alt+' : ''}${e.key}`;
+        const command = this.getCommands().find(c => c.key === key);
+        if (command) {
+            e.preventDefault();
+            command.run();
+        }
+    }
+
+    getCommands() {
+        const card = this.getSelectedCard();
+        const task = card ? this.tasks.find(t => t.uid === card.dataset.uid) : null;
+        const isIssue = Boolean(task && !task.isLocal);
+        const canReorder = Boolean(card) && this.sortBy === 'manual';
+        const groupBy = document.getElementById('groupBy');
+        const sortBy = document.getElementById('sortBy');
+        
+        const commands = [
+            { label: 'Select next task', key: 'j', run: () => this.moveSelection(1) },
+            { label: 'Select previous task', key: 'k', run: () => this.moveSelection(-1) },
+            { label: 'Open selected task in JIRA', key: 'o', when: isIssue, run: () => this.openInJira(task) },
+            { label: 'Expand or collapse selected task', key: 'Enter', when: Boolean(task), run: () => this.toggleCard(card, task) },
+            { label: 'Change status of selected task', key: 't', when: isIssue, run: () => this.toggleTransitionMenu(card, task, true) },
+            { label: 'Move selected task up', key: 'alt+ArrowUp', when: canReorder, run: () => this.moveSelectedCard(-1) },
+            { label: 'Move selected task down', key: 'alt+ArrowDown', when: canReorder, run: () => this.moveSelectedCard(1) },
+            { label: 'Start or stop timer on selected task', key: 's', when: isIssue, run: () => this.toggleTimer(task) },
+            {
+                label: task && this.dailyPlan.has(task.uid) ? 'Remove selected task from Today' : 'Add selected task to Today',
+                key: 'd',
+                when: Boolean(task),
+                run: () => this.toggleToday(task)
+            },
+            {
+                label: task && this.isPinned(task.uid) ? 'Unpin selected task' : 'Pin selected task to the top',
+                key: 'p',
+                when: Boolean(task),
+                run: () => this.togglePin(task)
+            },
+            { label: 'Snooze selected task', key: 'z', when: Boolean(task), run: () => this.toggleSnoozeMenu(card, task, true) },
+            { label: 'Search tasks', key: '/', run: () => document.getElementById('searchInput').focus() },
+            { label: 'Add a personal todo', key: 'n', run: () => document.querySelector('#addTodoForm [name="summary"]').focus() },
+            { label: 'Refresh tasks', key: 'r', run: () => this.refresh() },
+            { label: 'Show or hide filters', key: 'f', run: () => this.toggleFilterPanel() },
+            { label: 'Clear all filters', when: this.taskView.hasActiveFilters(this.filters), run: () => this.clearFilters() },
+            { label: 'Show tracked time', run: () => this.openTimesheet() },
+            { label: "Show today's summary", run: () => this.openDayView('summary') },
+            { label: 'Show snoozed tasks', run: () => this.openSnoozedView() },
+            { label: 'Show inbox', when: this.inboxSettings.showInbox, run: () => this.openInboxView() },
+            { label: 'Open settings', run: () => chrome.runtime.openOptionsPage() },
+            ...[...groupBy.options].map(option => ({
+                label: `View: ${option.text}`,
+                run: () => {
+                    groupBy.value = option.value;
+                    this.setGroupBy(option.value);
+                }
+            })),
+            ...[...sortBy.options].map(option => ({
+                label: `Order: ${option.text}`,
+                run: () => {
+                    sortBy.value = option.value;
+                    this.setSortBy(option.value);
+                }
+            })),
+            ...this.queries
+                .filter(query => query.id !== this.activeQueryId)
+                .map(query => ({ label: `Switch to tab: ${query.name}`, run: () => this.switchQuery(query.id) }))
+        ];
+        
+        return commands.filter(command => command.when !== false);
+    }
+
+    openCommandPalette() {
+        this.closeTransitionMenus();
+        this.commandPalette.open(this.getCommands());
+    }
+
+    // Cards that are filtered out or inside a collapsed group can't be selected
+    getVisibleCards() {
+        return [...document.querySelectorAll('#taskList .task-card')].filter(card => card.offsetParent !== null);
+    }
+
+    getSelectedCard() {
+        if (!this.selectedUid) return null;
+        
+        const card = document.querySelector(`#taskList .task-card[data-uid="${CSS.escape(this.selectedUid)}"]`);
+        return card?.offsetParent !== null ? card : null;
+    }
+
+    selectCard(card, scroll = true) {
+        this.selectedUid = card.dataset.uid;
+        this.updateSelection();
+        
+        if (scroll) {
+            card.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    updateSelection() {
+        document.querySelectorAll('#taskList .task-card').forEach(card => {
+            card.classList.toggle('selected', card.dataset.uid === this.selectedUid);
+        });
+    }
+
+    moveSelection(step) {
+        const cards = this.getVisibleCards();
+        if (cards.length === 0) return;
+        
+        const index = cards.findIndex(card => card.dataset.uid === this.selectedUid);
+        const next = index === -1
+            ? (step > 0 ? 0 : cards.length - 1)
+            : Math.min(cards.length - 1, Math.max(0, index + step));
+        this.selectCard(cards[next]);
+    }
+
+    // Same result as dragging the card past its visible neighbour
+    moveSelectedCard(step) {
+        const card = this.getSelectedCard();
+        if (!card) return;
+        
+        const siblings = [...card.parentNode.children].filter(el => el.classList.contains('task-card') && el.offsetParent !== null);
+        const target = siblings[siblings.indexOf(card) + step];
+        if (!target) return;
+        
+        card.parentNode.insertBefore(card, step < 0 ? target : target.nextSibling);
+        card.scrollIntoView({ block: 'nearest' });
+        this.updateTaskOrder();
+    }
+
+    toggleCard(card, task) {
+        if (task.isLocal) {
+            this.setTodoExpanded(card, task, !this.expandedKeys.has(task.uid));
+        } else {
+            this.toggleTaskDetail(card, task);
+        }
+    }
+
+    async loadTasks(forceReload = false) {
+        this.loadController?.abort();
+        this.loadMoreController?.abort();
+        const controller = new AbortController();
+        this.loadController = controller;
+        
+        this.isLoading = true;
+        // With cached tasks on screen, refresh behind them instead of blanking the list
+        this.showLoading(this.tasks.length === 0);
+        this.showRefreshing(true);
+        this.hideError();
+        
+        const query = this.getActiveQuery();
+        this.loadGeneration++;
+        // Reload as many tasks as were on screen so a refresh doesn't collapse a scrolled list
+        const targetCount = this.tasks.filter(t => !t.isLocal).length;
+        
+        try {
+            let result = await this.jiraApi.searchTasks(forceReload, query, null, this.cardLayout.customFields, controller.signal);
+            const tasks = result.tasks;
+            const total = result.total;
+            const errors = result.errors;
+            
+            while (result.nextPage && tasks.length < targetCount) {
+                result = await this.jiraApi.searchTasks(false, query, result.nextPage, this.cardLayout.customFields, controller.signal);
+                tasks.push(...result.tasks);
+                errors.push(...result.errors);
+            }
+            
+            // Superseded while the last response was being read
+            if (controller.signal.aborted) return;
+            
+            this.tasks = [];
+            this.appendTasks(tasks);
+            this.mergeLocalTodos();
+            this.nextPage = result.nextPage;
+            this.totalTasks = total;
+            this.lastUpdated = Date.now();
+            this.isStale = false;
+            this.syncTaskOrder();
+            
+            await this.saveTaskOrder();
+            await this.saveTaskCache();
+            await this.prunePins();
+            this.renderTasks();
+            this.updateStats();
+            
+            if (this.tasks.length === 0) {
+                this.showEmptyState();
+            }
+            
+            // One unreachable site shouldn't hide the issues from the others
+            if (errors.length > 0) {
+                this.showError(errors.join('\n'));
+            }
+        } catch (error) {
+            if (error instanceof JiraCancelledError) return;
+            
+            this.showError(error.message, error.guidance);
+            
+            if (this.tasks.length > 0) {
+                this.isStale = true;
+                this.updateStats();
+            }
+        } finally {
+            // The request that replaced this one owns the loading state now
+            if (this.loadController === controller) {
+                this.loadController = null;
+                this.isLoading = false;
+                this.showLoading(false);
+                this.showRefreshing(false);
+            }
+        }
+    }
+
+    async loadMoreTasks() {
+        if (!this.nextPage || this.isLoading || this.isLoadingMore) return;
+        
+        this.isLoadingMore = true;
+        this.updateLoadMore();
+        
+        const controller = new AbortController();
+        this.loadMoreController = controller;
+        const generation = this.loadGeneration;
+        
+        try {
+            const result = await this.jiraApi.searchTasks(false, this.getActiveQuery(), this.nextPage, this.cardLayout.customFields, controller.signal);
+            
+            // A refresh or tab switch replaced the list we were extending
+            if (generation !== this.loadGeneration) return;
+            
+            this.appendTasks(result.tasks);
+            this.nextPage = result.nextPage;
+            this.syncTaskOrder();
+            await this.saveTaskOrder();
+            await this.saveTaskCache();
+            
+            this.renderTasks();
+            this.updateTaskCount();
+            
+            if (result.errors.length > 0) {
+                this.showError(result.errors.join('\n'));
+            }
+        } catch (error) {
+            if (!(error instanceof JiraCancelledError)) {
+                this.showError(error.message, error.guidance);
+            }
+        } finally {
+            if (this.loadMoreController === controller) {
+                this.loadMoreController = null;
+            }
+            this.isLoadingMore = false;
+            this.updateLoadMore();
+        }
+    }
+
+    async loadTaskCache() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['taskCache'], (result) => {
+                this.taskCache = result.taskCache || {};
+                
+                // Tasks cached before multiple connections existed all came from the first one
+                Object.values(this.taskCache).forEach(cached => {
+                    cached.tasks.forEach(task => {
+                        task.connectionId = task.connectionId || 'default';
+                        task.uid = task.uid || `${task.connectionId}:${task.key}`;
+                    });
+                });
+                resolve();
+            });
+        });
+    }
+
+    async saveTaskCache() {
+        this.taskCache[this.activeQueryId] = {
+            tasks: this.tasks.filter(t => !t.isLocal),
+            total: this.totalTasks,
+            timestamp: this.lastUpdated
+        };
+        
+        await new Promise((resolve) => {
+            chrome.storage.local.set({ taskCache: this.taskCache }, resolve);
+        });
+        // Every fresh result also goes into today's snapshot for the end-of-day summary
+        await this.dailyPlan.record(this.tasks);
+    }
+
+    showCachedTasks() {
+        const cached = this.taskCache[this.activeQueryId];
+        
+        if (cached) {
+            this.tasks = cached.tasks;
+            this.totalTasks = cached.total;
+            // Page cursors don't survive between sessions, the refresh that follows restores paging
+            this.nextPage = null;
+            this.lastUpdated = cached.timestamp;
+            this.isStale = false;
+        }
+        
+        // Personal todos don't need JIRA, so they show even before the first load
+        this.mergeLocalTodos();
+        if (!cached && this.tasks.length === 0) return;
+        
+        this.renderTasks();
+        this.updateStats();
+    }
+
+    appendTasks(tasks) {
+        // Pages can overlap when issues are updated between requests
+        const loadedKeys = new Set(this.tasks.map(t => t.uid));
+        this.tasks.push(...tasks.filter(t => !loadedKeys.has(t.uid)));
+    }
+
+    // Todos sit in this.tasks next to the issues so they share the order, groups and filters.
+    // New ones go to the top of the list.
+    mergeLocalTodos() {
+        const todos = this.localTodos.getForQuery(this.activeQueryId, this.queries.map(q => q.id));
+        this.tasks = [...this.tasks.filter(t => !t.isLocal), ...todos.map(todo => this.localTodos.toTask(todo))];
+        
+        const newKeys = this.tasks
+            .filter(t => t.isLocal && !this.taskOrder.includes(t.uid))
+            .map(t => t.uid);
+        this.taskOrder.unshift(...newKeys);
+    }
+
+    syncTaskOrder() {
+        const loadedKeys = this.tasks.map(t => t.uid);
+        
+        // Keys missing from a partial result may just be on a page we haven't loaded
+        if (!this.nextPage) {
+            const existingKeys = new Set(loadedKeys);
+            this.taskOrder = this.taskOrder.filter(key => existingKeys.has(key));
+        }
+        
+        const newKeys = loadedKeys.filter(key => !this.taskOrder.includes(key));
+        this.taskOrder.push(...newKeys);
+    }
+
+    setupLazyLoading() {
+        this.loadMoreObserver = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                this.loadMoreTasks();
+            }
+        }, {
+            root: document.getElementById('taskList'),
+            rootMargin: '200px'
+        });
+    }
+
+    updateLoadMore() {
+        const loadMore = document.querySelector('#taskList .load-more');
+        if (!loadMore) return;
+        
+        const button = loadMore.querySelector('button');
+        button.disabled = this.isLoadingMore;
+        button.textContent = this.isLoadingMore ? 'Loading more tasks...' : 'Load more';
+    }
+
+    async loadQueries(forceReload = false) {
+        await this.jiraApi.loadSettings(forceReload);
+        this.queries = this.jiraApi.getSavedQueries();
+        
+        if (!this.queries.some(q => q.id === this.activeQueryId)) {
+            this.activeQueryId = this.queries[0].id;
+            this.taskOrder = this.taskOrders[this.activeQueryId] || [];
+        }
+    }
+
+    async reloadQueries() {
+        await this.loadQueries(true);
+        
+        // Drop the manual order of queries that were deleted in the options page
+        const queryIds = new Set(this.queries.map(q => q.id));
+        Object.keys(this.taskOrders)
+            .filter(id => !queryIds.has(id))
+            .forEach(id => delete this.taskOrders[id]);
+        Object.keys(this.taskCache)
+            .filter(id => !queryIds.has(id))
+            .forEach(id => delete this.taskCache[id]);
+        
+        this.renderQueryTabs();
+    }
+
+    getActiveQuery() {
+        return this.queries.find(q => q.id === this.activeQueryId);
+    }
+
+    renderQueryTabs() {
+        const container = document.getElementById('queryTabs');
+        container.innerHTML = '';
+        container.classList.toggle('hidden', this.queries.length < 2);
+        
+        this.queries.forEach(query => {
+            const tab = document.createElement('button');
+            tab.type = 'button';
+            tab.className = 'query-tab';
+            tab.classList.toggle('active', query.id === this.activeQueryId);
+            tab.textContent = query.name;
+            tab.title = query.mode === 'jql' ? query.jql : query.name;
+            tab.addEventListener('click', () => this.switchQuery(query.id));
+            container.appendChild(tab);
+        });
+    }
+
+    async switchQuery(queryId) {
+        if (queryId === this.activeQueryId) return;
+        
+        this.activeQueryId = queryId;
+        this.taskOrder = this.taskOrders[queryId] || [];
+        this.tasks = [];
+        this.nextPage = null;
+        this.totalTasks = null;
+        this.lastUpdated = null;
+        this.isStale = false;
+        this.renderQueryTabs();
+        this.showCachedTasks();
+        
+        chrome.storage.local.set({ activeQueryId: queryId });
         await this.loadTasks();
-        this.setupAutoRefresh();
     }
 
-    attachEventListeners() {
-        document.getElementById('refreshBtn').addEventListener('click', () => this.loadTasks());
-        document.getElementById('settingsBtn').addEventListener('click', () => {
-            chrome.runtime.openOptionsPage();
-        });
-        
-        document.getElementById('searchInput').addEventListener('input', (e) => {
-            this.filterTasks(e.target.value);
+    renderTasks() {
+        const container = document.getElementById('taskList');
+        // Re-rendering shouldn't throw the user back to the top of the list
+        const scrollTop = container.scrollTop;
+        container.innerHTML = '';
+        this.loadMoreObserver.disconnect();
+        
+        if (this.tasks.length === 0) {
+            this.showEmptyState();
+            return;
+        }
+        
+        this.hideEmptyState();
+        
+        // Tasks planned for today leave the list for their own section at the top
+        const { today: todayTasks, list: sortedTasks } = this.taskView.arrange(this.tasks, {
+            order: this.taskOrder,
+            sortBy: this.sortBy,
+            plannedUids: this.dailyPlan.plan.uids,
+            pinnedUids: this.pinnedUids,
+            isSnoozed: (uid) => this.snoozes.isSnoozed(uid)
+        });
+        
+        this.renderToday(container, todayTasks);
+        
+        if (this.groupBy === 'none') {
+            sortedTasks.forEach((task, index) => {
+                const card = this.createTaskCard(task, todayTasks.length + index);
+                container.appendChild(card);
+            });
+        } else {
+            this.renderGroups(container, sortedTasks, todayTasks.length);
+        }
+        
+        if (this.nextPage) {
+            const loadMore = document.createElement('div');
+            loadMore.className = 'load-more';
+            loadMore.innerHTML = '<button type="button" class="load-more-btn">Load more</button>';
+            loadMore.querySelector('button').addEventListener('click', () => this.loadMoreTasks());
+            container.appendChild(loadMore);
+            this.loadMoreObserver.observe(loadMore);
+            this.updateLoadMore();
+        }
+        
+        this.applyFilters();
+        this.updateSelection();
+        if (this.isFilterPanelOpen()) {
+            this.renderFilterPanel();
+        }
+        
+        container.scrollTop = scrollTop;
+    }
+
+    // Shown whenever the tab has tasks, even with none planned, so cards can be dragged into
+    // it; a tab without tasks shows the empty state instead. The plan is shared by all tabs;
+    // only its tasks that belong to this tab appear here.
+    renderToday(container, tasks) {
+        const collapsed = (this.collapsedGroups[this.groupBy] || []).includes('today');
+        const section = document.createElement('section');
+        section.className = 'task-group today-group';
+        section.classList.toggle('collapsed', collapsed);
+        section.dataset.groupId = 'today';
+        section.innerHTML = `
+            <div class="today-header">
+                <button type="button" class="task-group-header" title="Collapse or expand">
+                    <svg class="task-group-chevron" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M6 9l6 6 6-6"/>
+                    </svg>
+                    <span class="task-group-label">Today</span>
+                    <span class="task-group-count">${tasks.length}</span>
+                </button>
+                <button type="button" class="today-summary-btn" title="What got done today">Summary</button>
+            </div>
+            <div class="task-group-body" data-placeholder="Drag cards here, or select one and press D"></div>
+        `;
+        
+        section.querySelector('.task-group-header').addEventListener('click', () => this.toggleGroup(section));
+        section.querySelector('.today-summary-btn').addEventListener('click', () => this.openDayView('summary'));
+        section.addEventListener('dragover', (e) => this.handleGroupDragOver(e));
+        section.addEventListener('drop', (e) => this.handleDrop(e));
+        
+        const body = section.querySelector('.task-group-body');
+        tasks.forEach((task, index) => body.appendChild(this.createTaskCard(task, index)));
+        container.appendChild(section);
+    }
+
+    renderGroups(container, tasks, firstIndex = 0) {
+        const collapsed = new Set(this.collapsedGroups[this.groupBy] || []);
+        let index = firstIndex;
+        
+        this.taskView.group(tasks, this.groupBy)
+            .forEach(group => {
+                const section = document.createElement('section');
+                section.className = 'task-group';
+                section.classList.toggle('collapsed', collapsed.has(group.id));
+                section.dataset.groupId = group.id;
+                section.innerHTML = `
+                    <button type="button" class="task-group-header" title="Collapse or expand">
+                        <svg class="task-group-chevron" width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M6 9l6 6 6-6"/>
+                        </svg>
+                        <span class="task-group-label">${this.escapeHtml(group.label)}</span>
+                        <span class="task-group-count">${group.tasks.length}</span>
+                    </button>
+                    <div class="task-group-body"></div>
+                `;
+                
+                section.querySelector('.task-group-header').addEventListener('click', () => this.toggleGroup(section));
+                section.addEventListener('dragover', (e) => this.handleGroupDragOver(e));
+                section.addEventListener('drop', (e) => this.handleDrop(e));
+                
+                const body = section.querySelector('.task-group-body');
+                group.tasks.forEach(task => body.appendChild(this.createTaskCard(task, index++)));
+                container.appendChild(section);
+            });
+    }
+
+    async loadViewState() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get({ groupBy: 'none', sortBy: 'manual', collapsedGroups: {}, taskFilters: null }, (result) => {
+                this.groupBy = result.groupBy;
+                this.sortBy = result.sortBy;
+                this.collapsedGroups = result.collapsedGroups;
+                this.filters = { ...this.taskView.getEmptyFilters(), ...result.taskFilters };
+                document.getElementById('groupBy').value = this.groupBy;
+                document.getElementById('sortBy').value = this.sortBy;
+                document.getElementById('searchInput').value = this.filters.search;
+                this.updateFilterCount();
+                resolve();
+            });
+        });
+    }
+
+    // The card layout is edited in the options page, which announces changes through reload-tasks
+    async loadCardLayout() {
+        return new Promise((resolve) => {
+            chrome.storage.sync.get({
+                showPriority: true,
+                showStatus: true,
+                cardFields: JiraAPI.DEFAULT_CARD_FIELDS,
+                cardCustomFields: [],
+                cardDensity: 'comfortable'
+            }, (settings) => {
+                this.cardLayout = {
+                    showPriority: settings.showPriority,
+                    showStatus: settings.showStatus,
+                    fields: settings.cardFields,
+                    customFields: settings.cardCustomFields,
+                    density: settings.cardDensity
+                };
+                document.body.classList.toggle('compact', settings.cardDensity === 'compact');
+                resolve();
+            });
+        });
+    }
+
+    showsField(field) {
+        return this.cardLayout.fields.includes(field);
+    }
+
+    setGroupBy(groupBy) {
+        this.groupBy = groupBy;
+        chrome.storage.local.set({ groupBy: groupBy });
+        this.renderTasks();
+    }
+
+    // Sorting by due date leaves the manual order untouched, so cards can't be dragged meanwhile
+    setSortBy(sortBy) {
+        this.sortBy = sortBy;
+        chrome.storage.local.set({ sortBy: sortBy });
+        this.renderTasks();
+    }
+
+    toggleGroup(section) {
+        const groupId = section.dataset.groupId;
+        const collapsed = new Set(this.collapsedGroups[this.groupBy] || []);
+        
+        if (section.classList.toggle('collapsed')) {
+            collapsed.add(groupId);
+        } else {
+            collapsed.delete(groupId);
+        }
+        
+        this.collapsedGroups[this.groupBy] = [...collapsed];
+        chrome.storage.local.set({ collapsedGroups: this.collapsedGroups });
+    }
+
+    updateGroupCounts() {
+        document.querySelectorAll('.task-group').forEach(section => {
+            section.querySelector('.task-group-count').textContent = section.querySelectorAll('.task-card').length;
+        });
+    }
+
+    createTaskCard(task, index) {
+        if (task.isLocal) {
+            return this.createTodoCard(task, index);
+        }
+        
+        const card = document.createElement('div');
+        card.className = 'task-card';
+        card.draggable = this.sortBy === 'manual';
+        card.dataset.taskKey = task.key;
+        card.dataset.uid = task.uid;
+        card.dataset.index = index;
+        
+        const priorityClass = this.getPriorityClass(task.priority.name);
+        const statusClass = this.getStatusClass(task.status.category);
+        const urgency = this.getDueUrgency(task);
+        if (urgency) {
+            card.classList.add(urgency);
+        }
+        
+        card.innerHTML = `
+            <div class="task-header">
+                <div class="task-meta">
+                    ${this.renderConnectionTag(task)}
+                    <span class="task-key">${this.escapeHtml(task.key)}</span>
+                    ${this.showsField('type') ? `<span class="task-type">${this.escapeHtml(task.type.name)}</span>` : ''}
+                </div>
+                ${this.renderCardFlags(task)}
+                ${this.cardLayout.showPriority ? `
+                    <div class="task-priority ${priorityClass}" title="${this.escapeHtml(task.priority.name)} priority">
+                        <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                            <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
+                        </svg>
+                    </div>
+                ` : ''}
+            </div>
+            <h3 class="task-title">${this.escapeHtml(task.summary)}</h3>
+            <div class="task-schedule">${this.renderSchedule(task)}</div>
+            <div class="task-info">${this.renderCardInfo(task)}</div>
+            <div class="task-personal">${this.renderPersonalSummary(task)}</div>
+            <div class="task-footer">
+                <div class="task-status-wrapper">
+                    ${this.cardLayout.showStatus ? `<button type="button" class="task-status ${statusClass}" title="Change status">${this.escapeHtml(task.status.name)}</button>` : ''}
+                </div>
+                <div class="task-footer-actions">
+                    <button type="button" class="timer-btn"></button>
+                    <a href="${this.escapeHtml(task.url)}" target="_blank" class="task-link" title="Open in JIRA">
+                        <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3"/>
+                        </svg>
+                    </a>
+                </div>
+            </div>
+            <div class="task-error hidden"></div>
+            <div class="task-notice hidden"></div>
+            <div class="task-detail hidden">
+                <div class="task-detail-content"></div>
+                ${this.renderPersonalEditor(task)}
+                ${this.renderTaskActions()}
+            </div>
+        `;
+        
+        card.querySelector('.task-link').addEventListener('click', () => this.markInboxRead(task.uid));
+        
+        // Without the status badge, transitions are still offered by keyboard and the command palette
+        card.querySelector('.task-status')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleTransitionMenu(card, task);
+        });
+        
+        card.addEventListener('click', (e) => {
+            // Controls and the open detail pane handle their own clicks
+            if (e.target.closest('button, a, input, textarea, select, .task-detail')) return;
+            this.toggleTaskDetail(card, task);
+        });
+        
+        // Let text in the detail pane be selected instead of dragging the card
+        const detail = card.querySelector('.task-detail');
+        detail.addEventListener('mouseenter', () => { card.draggable = false; });
+        detail.addEventListener('mouseleave', () => { card.draggable = this.sortBy === 'manual'; });
+        
+        const timerBtn = card.querySelector('.timer-btn');
+        timerBtn.addEventListener('click', () => this.toggleTimer(task));
+        this.updateTimerButton(timerBtn, task.uid);
+        
+        this.bindCardFlags(card, task);
+        this.bindTaskActions(card, task);
+        this.bindPersonalEditor(card, task);
+        
+        if (this.expandedKeys.has(task.uid)) {
+            this.showTaskDetail(card, task);
+        }
+        
+        card.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        card.addEventListener('dragover', (e) => this.handleDragOver(e));
+        card.addEventListener('drop', (e) => this.handleDrop(e));
+        card.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        
+        return card;
+    }
+
+    // Pin and snooze controls, shown on hover; a pinned card keeps its pin visible
+    renderCardFlags(task) {
+        const pinned = this.isPinned(task.uid);
+        
+        return `
+            <div class="card-flags">
+                <button type="button" class="pin-btn ${pinned ? 'active' : ''}" title="${pinned ? 'Unpin' : 'Pin to the top'}">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="${pinned ? 'currentColor' : 'none'}" stroke="currentColor" stroke-width="2">
+                        <path d="M12 17v5M9 3h6l-1 7 4 3v2H6v-2l4-3-1-7z"/>
+                    </svg>
+                </button>
+                <button type="button" class="snooze-btn" title="Snooze">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M21 12.79A9 9 0 1111.21 3 7 7 0 0021 12.79z"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+    }
+
+    bindCardFlags(card, task) {
+        card.classList.toggle('pinned', this.isPinned(task.uid));
+        card.querySelector('.pin-btn').addEventListener('click', () => this.togglePin(task));
+        card.querySelector('.snooze-btn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleSnoozeMenu(card, task);
+        });
+    }
+
+    // Overdue and due-today issues stand out until they're done
+    getDueUrgency(task) {
+        if (!task.dueDate || this.taskView.getStatusGroupId(task.status.category) === 'done') return null;
+        
+        const group = this.taskView.getDueGroup(task.dueDate).id;
+        if (group === 'overdue') return 'overdue';
+        if (group === 'today') return 'due-today';
+        return null;
+    }
+
+    renderSchedule(task) {
+        const items = [];
+        
+        if (task.dueDate && this.showsField('dueDate')) {
+            const urgency = this.getDueUrgency(task);
+            const label = { 'overdue': 'Overdue', 'due-today': 'Due today' }[urgency] || 'Due date';
+            items.push(`
+                <span class="task-due" title="${label}">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <rect x="3" y="4" width="18" height="18" rx="2" ry="2"/>
+                        <path d="M16 2v4M8 2v4M3 10h18"/>
+                    </svg>
+                    ${this.escapeHtml(urgency === 'due-today' ? 'Today' : this.formatDate(task.dueDate))}
+                </span>
+            `);
+        }
+        
+        if (task.sprint && this.showsField('sprint')) {
+            items.push(`<span class="task-sprint" title="Sprint">${this.escapeHtml(task.sprint.name)}</span>`);
+        }
+        
+        if (task.fixVersions?.length > 0 && this.showsField('fixVersions')) {
+            items.push(`<span class="task-version" title="Fix version">${this.escapeHtml(task.fixVersions.join(', '))}</span>`);
+        }
+        
+        if (typeof task.storyPoints === 'number' && this.showsField('storyPoints')) {
+            items.push(`<span class="task-points" title="Story points">${task.storyPoints} pt${task.storyPoints !== 1 ? 's' : ''}</span>`);
+        }
+        
+        return items.join('');
+    }
+
+    // People, recency, labels and custom fields, each only when the card layout asks for it
+    renderCardInfo(task) {
+        const items = [];
+        
+        if (this.showsField('assignee') && !task.assignee.id) {
+            items.push('<span class="task-avatar unassigned" title="Unassigned"></span>');
+        } else if (this.showsField('assignee')) {
+            const name = task.assignee.displayName;
+            items.push(task.assignee.avatarUrl
+                ? `<img class="task-avatar" src="${this.escapeHtml(task.assignee.avatarUrl)}" alt="" title="Assignee: ${this.escapeHtml(name)}">`
+                : `<span class="task-avatar" title="Assignee: ${this.escapeHtml(name)}">${this.escapeHtml(this.getInitials(name))}</span>`);
+        }
+        
+        if (this.showsField('reporter') && task.reporter.displayName) {
+            items.push(`<span class="task-reporter" title="Reporter">by ${this.escapeHtml(task.reporter.displayName)}</span>`);
+        }
+        
+        if (this.showsField('updated') && task.updated) {
+            items.push(`<span class="task-updated" title="Updated ${this.escapeHtml(this.formatDate(task.updated, true))}">${this.escapeHtml(this.formatRelativeTime(task.updated))}</span>`);
+        }
+        
+        if (this.showsField('labels')) {
+            items.push(...(task.labels || []).map(label => `<span class="detail-label">${this.escapeHtml(label)}</span>`));
+        }
+        
+        // Tasks cached before a custom field was added to the layout don't have it yet
+        (task.customFields || [])
+            .filter(field => this.cardLayout.customFields.includes(field.id))
+            .forEach(field => {
+                items.push(`<span class="task-custom-field" title="${this.escapeHtml(field.name)}">${this.escapeHtml(field.value)}</span>`);
+            });
+        
+        return items.join('');
+    }
+
+    getInitials(name) {
+        return name.split(/\s+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('') || '?';
+    }
+
+    // Only worth the space once issues come from more than one site
+    renderConnectionTag(task) {
+        if (this.jiraApi.connections.length < 2) return '';
+        
+        const connection = this.jiraApi.getConnection(task.connectionId);
+        if (!connection) return '';
+        
+        const color = /^#[0-9a-f]{6}$/i.test(connection.color) ? connection.color : '#6c757d';
+        return `<span class="task-connection" style="--connection-color: ${color}" title="${this.escapeHtml(connection.jiraUrl)}">${this.escapeHtml(connection.name)}</span>`;
+    }
+
+    toggleTaskDetail(card, task) {
+        if (this.expandedKeys.has(task.uid)) {
+            this.expandedKeys.delete(task.uid);
+            card.classList.remove('expanded');
+            card.querySelector('.task-detail').classList.add('hidden');
+            return;
+        }
+        
+        this.expandedKeys.add(task.uid);
+        this.showTaskDetail(card, task);
+    }
+
+    async showTaskDetail(card, task) {
+        const detail = card.querySelector('.task-detail');
+        const content = detail.querySelector('.task-detail-content');
+        this.markInboxRead(task.uid);
+        card.classList.add('expanded');
+        detail.classList.remove('hidden');
+        this.hideCardError(card);
+        
+        const cached = this.issueDetails.get(task.uid);
+        if (cached) {
+            content.innerHTML = this.renderTaskDetail(cached);
+            // Re-renders after a refresh only refetch issues that changed
+            if (cached.updated === task.updated) return;
+        } else {
+            content.innerHTML = '<div class="task-detail-loading">Loading details...</div>';
+        }
+        
+        try {
+            const issue = await this.jiraApi.forTask(task).getIssue(task.key);
+            this.issueDetails.set(task.uid, issue);
+            
+            if (content.isConnected && this.expandedKeys.has(task.uid)) {
+                content.innerHTML = this.renderTaskDetail(issue);
+            }
+        } catch (error) {
+            if (!cached) {
+                this.expandedKeys.delete(task.uid);
+                card.classList.remove('expanded');
+                detail.classList.add('hidden');
+            }
+            this.showCardError(card, error.message);
+        }
+    }
+
+    renderTaskDetail(issue) {
+        const meta = [];
+        
+        if (issue.dueDate) {
+            meta.push(`<span class="detail-meta-item">Due ${this.escapeHtml(this.formatDate(issue.dueDate))}</span>`);
+        }
+        if (issue.attachmentCount > 0) {
+            meta.push(`<span class="detail-meta-item">${issue.attachmentCount} attachment${issue.attachmentCount !== 1 ? 's' : ''}</span>`);
+        }
+        issue.labels.forEach(label => {
+            meta.push(`<span class="detail-label">${this.escapeHtml(label)}</span>`);
+        });
+        
+        const description = this.docRenderer.render(issue.description, issue.format);
+        
+        const subtasks = issue.subtasks.map(subtask => `
+            <li>
+                <a href="${this.escapeHtml(subtask.url)}" target="_blank" class="detail-subtask-key">${this.escapeHtml(subtask.key)}</a>
+                <span class="detail-subtask-summary">${this.escapeHtml(subtask.summary)}</span>
+                <span class="detail-status ${this.getStatusClass(subtask.status.category)}">${this.escapeHtml(subtask.status.name)}</span>
+            </li>
+        `).join('');
+        
+        const comments = issue.comments.map(comment => `
+            <div class="detail-comment">
+                <div class="detail-comment-header">
+                    <strong>${this.escapeHtml(comment.author)}</strong>
+                    <time>${this.escapeHtml(this.formatDate(comment.created, true))}</time>
+                </div>
+                <div class="doc-content">${this.docRenderer.render(comment.body, issue.format)}</div>
+            </div>
+        `).join('');
+        
+        const commentHeading = issue.commentTotal > issue.comments.length
+            ? `Comments (latest ${issue.comments.length} of ${issue.commentTotal})`
+            : 'Comments';
+        
+        return `
+            ${meta.length > 0 ? `<div class="detail-meta">${meta.join('')}</div>` : ''}
+            <section class="detail-section">
+                <h4>Description</h4>
+                <div class="doc-content">${description || '<p class="detail-empty">No description</p>'}</div>
+            </section>
+            ${subtasks ? `
+            <section class="detail-section">
+                <h4>Subtasks</h4>
+                <ul class="detail-subtasks">${subtasks}</ul>
+            </section>` : ''}
+            <section class="detail-section">
+                <h4>${commentHeading}</h4>
+                ${comments || '<p class="detail-empty">No comments</p>'}
+            </section>
+        `;
+    }
+
+    renderPersonalSummary(task) {
+        const entry = this.personalNotes.get(task.uid);
+        if (!entry) return '';
+        
+        const parts = entry.tags.map(tag => `<span class="personal-tag">${this.escapeHtml(tag)}</span>`);
+        
+        if (entry.checklist.length > 0) {
+            const done = entry.checklist.filter(item => item.done).length;
+            parts.push(`
+                <span class="personal-progress ${done === entry.checklist.length ? 'complete' : ''}" title="Checklist">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M9 11l3 3L22 4"/>
+                        <path d="M21 12v7a2 2 0 01-2 2H5a2 2 0 01-2-2V5a2 2 0 012-2h11"/>
+                    </svg>
+                    ${done}/${entry.checklist.length}
+                </span>
+            `);
+        }
+        
+        if (entry.note.trim()) {
+            parts.push(`
+                <span class="personal-note-indicator" title="${this.escapeHtml(entry.note)}">
+                    <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                        <path d="M14 2H6a2 2 0 00-2 2v16a2 2 0 002 2h12a2 2 0 002-2V8z"/>
+                        <path d="M14 2v6h6M16 13H8M16 17H8"/>
+                    </svg>
+                    Note
+                </span>
+            `);
+        }
+        
+        return parts.join('');
+    }
+
+    renderPersonalEditor(task) {
+        const entry = this.personalNotes.get(task.uid);
+        
+        return `
+            <section class="personal-editor">
+                <h4>My notes <small>only stored in this browser</small></h4>
+                <textarea class="personal-note" rows="2" placeholder="Private note...">${this.escapeHtml(entry?.note || '')}</textarea>
+                <div class="personal-tags">
+                    <span class="personal-tags-list"></span>
+                    <input type="text" class="personal-tag-input" placeholder="Add tag">
+                </div>
+                <ul class="personal-checklist"></ul>
+                <form class="personal-checklist-add">
+                    <input type="text" name="item" placeholder="Add checklist item">
+                </form>
+            </section>
+        `;
+    }
+
+    bindPersonalEditor(card, task) {
+        const editor = card.querySelector('.personal-editor');
+        
+        // Saved as you type; the pause keeps storage writes down
+        editor.querySelector('.personal-note').addEventListener('input', (e) => {
+            clearTimeout(this.noteSaveTimers.get(task.uid));
+            this.noteSaveTimers.set(task.uid, setTimeout(() => {
+                this.noteSaveTimers.delete(task.uid);
+                this.updatePersonalNotes(card, task, { note: e.target.value });
+            }, 400));
+        });
+        
+        editor.querySelector('.personal-tag-input').addEventListener('keydown', (e) => {
+            if (e.key !== 'Enter' && e.key !== ',') return;
+            e.preventDefault();
+            
+            const tag = e.target.value.replace(/,/g, '').trim();
+            const tags = this.personalNotes.getTags(task.uid);
+            e.target.value = '';
+            
+            if (tag && !tags.some(t => t.toLowerCase() === tag.toLowerCase())) {
+                this.updatePersonalNotes(card, task, { tags: [...tags, tag] });
+            }
+        });
+        
+        editor.querySelector('.personal-tags-list').addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('[data-remove-tag]');
+            if (!removeBtn) return;
+            
+            const tags = this.personalNotes.getTags(task.uid).filter(t => t !== removeBtn.dataset.removeTag);
+            this.updatePersonalNotes(card, task, { tags: tags });
+        });
+        
+        editor.querySelector('.personal-checklist-add').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const text = e.target.elements.item.value.trim();
+            if (!text) return;
+            
+            const checklist = this.personalNotes.get(task.uid)?.checklist || [];
+            e.target.reset();
+            this.updatePersonalNotes(card, task, {
+                checklist: [...checklist, { id: `i${Date.now().toString(36)}`, text: text, done: false }]
+            });
+        });
+        
+        const checklistEl = editor.querySelector('.personal-checklist');
+        checklistEl.addEventListener('change', (e) => {
+            const itemId = e.target.closest('[data-item-id]')?.dataset.itemId;
+            const checklist = (this.personalNotes.get(task.uid)?.checklist || [])
+                .map(item => item.id === itemId ? { ...item, done: e.target.checked } : item);
+            this.updatePersonalNotes(card, task, { checklist: checklist });
+        });
+        checklistEl.addEventListener('click', (e) => {
+            const removeBtn = e.target.closest('.personal-checklist-remove');
+            if (!removeBtn) return;
+            
+            const itemId = removeBtn.closest('[data-item-id]').dataset.itemId;
+            const checklist = (this.personalNotes.get(task.uid)?.checklist || []).filter(item => item.id !== itemId);
+            this.updatePersonalNotes(card, task, { checklist: checklist });
+        });
+        
+        this.renderPersonalLists(card, task);
+    }
+
+    // Tags and checklist are redrawn on change; the note textarea is left alone so typing isn't interrupted
+    renderPersonalLists(card, task) {
+        const entry = this.personalNotes.get(task.uid);
+        
+        card.querySelector('.personal-tags-list').innerHTML = (entry?.tags || []).map(tag => `
+            <span class="personal-tag">
+                ${this.escapeHtml(tag)}
+                <button type="button" data-remove-tag="${this.escapeHtml(tag)}" title="Remove tag">&times;</button>
+            </span>
+        `).join('');
+        
+        card.querySelector('.personal-checklist').innerHTML = (entry?.checklist || []).map(item => `
+            <li data-item-id="${this.escapeHtml(item.id)}" class="${item.done ? 'done' : ''}">
+                <label>
+                    <input type="checkbox" ${item.done ? 'checked' : ''}>
+                    <span>${this.escapeHtml(item.text)}</span>
+                </label>
+                <button type="button" class="personal-checklist-remove" title="Remove item">&times;</button>
+            </li>
+        `).join('');
+    }
+
+    async updatePersonalNotes(card, task, changes) {
+        await this.personalNotes.update(task, changes);
+        
+        // A refresh may have rebuilt the card while the save was pending
+        if (!card.isConnected) {
+            card = document.querySelector(`.task-card[data-uid="${CSS.escape(task.uid)}"]`);
+            if (!card) return;
+        }
+        
+        this.renderPersonalLists(card, task);
+        card.querySelector('.task-personal').innerHTML = this.renderPersonalSummary(task);
+        
+        if (this.isFilterPanelOpen()) {
+            this.renderFilterPanel();
+        }
+    }
+
+    setupPersonalNotes() {
+        // Keep cards in step with edits made in another window's panel
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.taskNotes) return;
+            
+            this.personalNotes.entries = changes.taskNotes.newValue || {};
+            document.querySelectorAll('.task-card').forEach(card => {
+                const task = this.tasks.find(t => t.uid === card.dataset.uid);
+                if (task) {
+                    card.querySelector('.task-personal').innerHTML = this.renderPersonalSummary(task);
+                }
+            });
+        });
+    }
+
+    createTodoCard(task, index) {
+        const card = document.createElement('div');
+        card.className = 'task-card todo-card';
+        card.classList.toggle('done', task.done);
+        card.draggable = this.sortBy === 'manual';
+        card.dataset.uid = task.uid;
+        card.dataset.index = index;
+        
+        const urgency = this.getDueUrgency(task);
+        if (urgency) {
+            card.classList.add(urgency);
+        }
+        
+        card.innerHTML = `
+            <div class="task-header">
+                <div class="task-meta">
+                    <span class="task-type">Todo</span>
+                </div>
+                ${this.renderCardFlags(task)}
+            </div>
+            <div class="todo-main">
+                <input type="checkbox" class="todo-check" ${task.done ? 'checked' : ''} title="Mark as done">
+                <h3 class="task-title">${this.escapeHtml(task.summary)}</h3>
+            </div>
+            <div class="task-schedule">${this.renderSchedule(task)}</div>
+            <div class="task-error hidden"></div>
+            <div class="task-detail hidden">
+                <form class="task-form todo-edit-form">
+                    <input type="text" name="summary" value="${this.escapeHtml(task.summary)}" required>
+                    <div class="task-form-row">
+                        <label>
+                            Due date
+                            <input type="date" name="dueDate" value="${this.escapeHtml(task.dueDate || '')}">
+                        </label>
+                    </div>
+                    <div class="task-form-actions">
+                        <button type="button" class="form-btn" data-delete>Delete</button>
+                        <button type="button" class="form-btn" data-promote>Create JIRA issue</button>
+                        <button type="submit" class="form-btn form-btn-primary">Save</button>
+                    </div>
+                </form>
+                <form class="task-form promote-form hidden">
+                    <label class="create-connection">
+                        Connection
+                        <select name="connectionId"></select>
+                    </label>
+                    <div class="task-form-row">
+                        <label>
+                            Project
+                            <select name="project"></select>
+                        </label>
+                        <label>
+                            Issue type
+                            <select name="issueType"></select>
+                        </label>
+                    </div>
+                    <textarea name="description" rows="2" placeholder="Description (optional)"></textarea>
+                    <div class="task-form-actions">
+                        <button type="button" class="form-btn" data-cancel>Cancel</button>
+                        <button type="submit" class="form-btn form-btn-primary">Create issue</button>
+                    </div>
+                </form>
+            </div>
+        `;
+        
+        card.addEventListener('click', (e) => {
+            if (e.target.closest('button, a, input, textarea, select, .task-detail')) return;
+            this.toggleCard(card, task);
+        });
+        
+        this.bindCardFlags(card, task);
+        
+        card.querySelector('.todo-check').addEventListener('change', async (e) => {
+            await this.localTodos.update(task.todoId, { done: e.target.checked });
+            this.refreshLocalTodos();
+        });
+        
+        const editForm = card.querySelector('.todo-edit-form');
+        editForm.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const summary = editForm.elements.summary.value.trim();
+            if (!summary) return;
+            
+            await this.localTodos.update(task.todoId, {
+                summary: summary,
+                dueDate: editForm.elements.dueDate.value || null
+            });
+            this.expandedKeys.delete(task.uid);
+            this.refreshLocalTodos();
+        });
+        editForm.querySelector('[data-delete]').addEventListener('click', () => this.deleteTodo(task));
+        editForm.querySelector('[data-promote]').addEventListener('click', () => this.togglePromoteForm(card));
+        
+        const promoteForm = card.querySelector('.promote-form');
+        const showPromoteError = (message) => this.showCardError(card, message);
+        promoteForm.elements.connectionId.addEventListener('change', () => this.loadCreateProjects(promoteForm, showPromoteError));
+        promoteForm.elements.project.addEventListener('change', () => this.loadCreateIssueTypes(promoteForm, showPromoteError));
+        promoteForm.querySelector('[data-cancel]').addEventListener('click', () => {
+            promoteForm.reset();
+            promoteForm.classList.add('hidden');
+        });
+        promoteForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.promoteTodo(card, task, promoteForm);
+        });
+        
+        const detail = card.querySelector('.task-detail');
+        detail.addEventListener('mouseenter', () => { card.draggable = false; });
+        detail.addEventListener('mouseleave', () => { card.draggable = this.sortBy === 'manual'; });
+        
+        if (this.expandedKeys.has(task.uid)) {
+            this.setTodoExpanded(card, task, true);
+        }
+        
+        card.addEventListener('dragstart', (e) => this.handleDragStart(e));
+        card.addEventListener('dragover', (e) => this.handleDragOver(e));
+        card.addEventListener('drop', (e) => this.handleDrop(e));
+        card.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        
+        return card;
+    }
+
+    setTodoExpanded(card, task, expanded) {
+        if (expanded) {
+            this.expandedKeys.add(task.uid);
+        } else {
+            this.expandedKeys.delete(task.uid);
+        }
+        
+        card.classList.toggle('expanded', expanded);
+        card.querySelector('.task-detail').classList.toggle('hidden', !expanded);
+    }
+
+    setupLocalTodos() {
+        document.getElementById('addTodoForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addTodo(e.target);
+        });
+        
+        // Keep the list in step with todos changed in another window's panel
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.localTodos) return;
+            
+            const todos = changes.localTodos.newValue || [];
+            // Our own saves come back through here too
+            if (JSON.stringify(todos) === JSON.stringify(this.localTodos.todos)) return;
+            
+            this.localTodos.todos = todos;
+            this.refreshLocalTodos();
+        });
+    }
+
+    refreshLocalTodos() {
+        this.mergeLocalTodos();
+        this.renderTasks();
+        this.updateStats();
+        this.dailyPlan.record(this.tasks.filter(t => t.isLocal));
+    }
+
+    async addTodo(form) {
+        const summary = form.elements.summary.value.trim();
+        if (!summary) return;
+        
+        await this.localTodos.add(summary, form.elements.dueDate.value, this.activeQueryId);
+        form.reset();
+        
+        this.refreshLocalTodos();
+        await this.saveTaskOrder();
+    }
+
+    async deleteTodo(task) {
+        await this.localTodos.remove(task.todoId);
+        this.expandedKeys.delete(task.uid);
+        this.taskOrder = this.taskOrder.filter(uid => uid !== task.uid);
+        
+        this.refreshLocalTodos();
+        await this.saveTaskOrder();
+    }
+
+    async togglePromoteForm(card) {
+        const form = card.querySelector('.promote-form');
+        if (!form.classList.contains('hidden')) {
+            form.classList.add('hidden');
+            return;
+        }
+        
+        if (this.jiraApi.connections.length === 0) {
+            this.showCardError(card, 'Set up a JIRA connection in the settings first.');
+            return;
+        }
+        
+        this.hideCardError(card);
+        this.fillConnectionSelect(form);
+        form.classList.remove('hidden');
+        
+        await this.loadCreateProjects(form, (message) => this.showCardError(card, message));
+    }
+
+    async promoteTodo(card, task, form) {
+        const connectionId = form.elements.connectionId.value;
+        const projectKey = form.elements.project.value;
+        const issueTypeId = form.elements.issueType.value;
+        
+        if (!projectKey || !issueTypeId) {
+            this.showCardError(card, 'Pick a project and an issue type.');
+            return;
+        }
+        
+        const submitBtn = form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        this.hideCardError(card);
+        
+        try {
+            const issue = await this.jiraApi.get(connectionId).createIssue({
+                projectKey: projectKey,
+                issueTypeId: issueTypeId,
+                summary: task.summary,
+                description: form.elements.description.value.trim()
+            });
+            
+            // The new issue takes the todo's place in the list
+            const uid = `${connectionId}:${issue.key}`;
+            this.taskOrder = this.taskOrder.map(key => key === task.uid ? uid : key);
+            this.expandedKeys.delete(task.uid);
+            await this.localTodos.remove(task.todoId);
+            await this.saveTaskOrder();
+            this.refreshLocalTodos();
+            
+            await this.reloadWithIssue(issue.key, uid);
+        } catch (error) {
+            this.showCardError(card, error.message);
+            submitBtn.disabled = false;
+        }
+    }
+
+    // The create forms (todo promotion, quick create) share their pickers. Priority and
+    // assignee are only loaded when the form has them.
+    fillConnectionSelect(form) {
+        const connections = this.jiraApi.connections;
+        
+        form.elements.connectionId.innerHTML = connections
+            .map(c => `<option value="${this.escapeHtml(c.id)}">${this.escapeHtml(c.name)}</option>`)
+            .join('');
+        form.querySelector('.create-connection').classList.toggle('hidden', connections.length < 2);
+    }
+
+    async loadCreateProjects(form, showError, preferred = {}) {
+        const connectionId = form.elements.connectionId.value;
+        form.elements.project.innerHTML = '<option value="">Loading...</option>';
+        form.elements.issueType.innerHTML = '';
+        
+        try {
+            const api = this.jiraApi.get(connectionId);
+            // Priorities are optional on most create screens, so failing to list them isn't fatal
+            const [projects, priorities] = await Promise.all([
+                api.getProjects(),
+                form.elements.priority ? api.getPriorities().catch(() => []) : null
+            ]);
+            
+            // Another connection was picked while this one was loading
+            if (form.elements.connectionId.value !== connectionId) return;
+            
+            form.elements.project.innerHTML = projects
+                .map(p => `<option value="${this.escapeHtml(p.key)}">${this.escapeHtml(p.name)} (${this.escapeHtml(p.key)})</option>`)
+                .join('');
+            if (projects.some(p => p.key === preferred.projectKey)) {
+                form.elements.project.value = preferred.projectKey;
+            }
+            
+            if (priorities) {
+                form.elements.priority.innerHTML = '<option value="">Default</option>' + priorities
+                    .map(p => `<option value="${this.escapeHtml(p.id)}">${this.escapeHtml(p.name)}</option>`)
+                    .join('');
+            }
+            
+            await this.loadCreateIssueTypes(form, showError, preferred);
+        } catch (error) {
+            form.elements.project.innerHTML = '';
+            showError(error.message);
+        }
+    }
+
+    async loadCreateIssueTypes(form, showError, preferred = {}) {
+        const connectionId = form.elements.connectionId.value;
+        const projectKey = form.elements.project.value;
+        form.elements.issueType.innerHTML = '';
+        if (form.elements.assignee) {
+            form.elements.assignee.innerHTML = '<option value="">Default</option>';
+        }
+        if (!projectKey) return;
+        
+        try {
+            const api = this.jiraApi.get(connectionId);
+            const [issueTypes, users, me] = await Promise.all([
+                api.getCreateIssueTypes(projectKey),
+                form.elements.assignee ? api.getAssignableUsers(projectKey).catch(() => []) : null,
+                form.elements.assignee ? api.getCurrentUser().catch(() => null) : null
+            ]);
+            if (form.elements.project.value !== projectKey) return;
+            
+            form.elements.issueType.innerHTML = issueTypes
+                .map(type => `<option value="${this.escapeHtml(type.id)}">${this.escapeHtml(type.name)}</option>`)
+                .join('');
+            
+            const issueType = issueTypes.find(type => type.id === preferred.issueTypeId)
+                || issueTypes.find(type => type.name === 'Task');
+            if (issueType) {
+                form.elements.issueType.value = issueType.id;
+            }
+            
+            if (users) {
+                const myId = me ? api.getUserId(me) : null;
+                form.elements.assignee.innerHTML += users
+                    .map(user => `<option value="${this.escapeHtml(user.id)}">${this.escapeHtml(user.name)}${user.id === myId ? ' (me)' : ''}</option>`)
+                    .join('');
+            }
+        } catch (error) {
+            showError(error.message);
+        }
+    }
+
+    // A new issue only shows up when the active tab's query includes it
+    async reloadWithIssue(issueKey, uid) {
+        await this.loadTasks();
+        
+        // Still loading means another refresh was already running and will bring it in
+        if (!this.isLoading && !this.tasks.some(t => t.uid === uid)) {
+            this.showError(`Created ${issueKey}, but it isn't part of this tab's results.`);
+        }
+    }
+
+    setupQuickCreate() {
+        const form = document.getElementById('quickCreateForm');
+        const showError = (message) => { document.getElementById('quickCreateStatus').textContent = message; };
+        
+        document.getElementById('closeQuickCreateBtn').addEventListener('click', () => this.closeQuickCreate());
+        form.elements.connectionId.addEventListener('change', () => this.loadCreateProjects(form, showError));
+        form.elements.project.addEventListener('change', () => this.loadCreateIssueTypes(form, showError));
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitQuickCreate(form);
+        });
+        
+        // The context menu in the background leaves a draft here; it may arrive before
+        // or after the panel opens
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName === 'local' && changes.quickCreateDraft?.newValue) {
+                this.openQuickCreate(changes.quickCreateDraft.newValue);
+            }
+        });
+        chrome.storage.local.get(['quickCreateDraft'], (result) => {
+            if (result.quickCreateDraft) {
+                this.openQuickCreate(result.quickCreateDraft);
+            }
+        });
+    }
+
+    async openQuickCreate(draft) {
+        chrome.storage.local.remove('quickCreateDraft');
+        this.closeTimesheet();
+        this.closeDayView();
+        this.closeSnoozedView();
+        this.closeInboxView();
+        
+        const form = document.getElementById('quickCreateForm');
+        const status = document.getElementById('quickCreateStatus');
+        form.elements.summary.value = draft.title.slice(0, 255);
+        form.elements.description.value = [draft.selection, draft.url].filter(Boolean).join('\n\n');
+        status.textContent = '';
+        
+        document.querySelector('.panel-container').classList.add('quick-create-open');
+        document.getElementById('quickCreateView').classList.remove('hidden');
+        form.elements.summary.focus();
+        
+        if (this.jiraApi.connections.length === 0) {
+            status.textContent = 'Set up a JIRA connection in the settings first.';
+            return;
+        }
+        
+        // Start from wherever the last quick-created issue went
+        const preferred = await new Promise((resolve) => {
+            chrome.storage.local.get({ quickCreateDefaults: {} }, (result) => resolve(result.quickCreateDefaults));
+        });
+        this.fillConnectionSelect(form);
+        if (this.jiraApi.getConnection(preferred.connectionId)) {
+            form.elements.connectionId.value = preferred.connectionId;
+        }
+        
+        await this.loadCreateProjects(form, (message) => { status.textContent = message; }, preferred);
+    }
+
+    closeQuickCreate() {
+        document.querySelector('.panel-container').classList.remove('quick-create-open');
+        document.getElementById('quickCreateView').classList.add('hidden');
+    }
+
+    async submitQuickCreate(form) {
+        const status = document.getElementById('quickCreateStatus');
+        const submitBtn = document.getElementById('submitQuickCreateBtn');
+        const connectionId = form.elements.connectionId.value;
+        const projectKey = form.elements.project.value;
+        const issueTypeId = form.elements.issueType.value;
+        const summary = form.elements.summary.value.trim();
+        
+        if (!projectKey || !issueTypeId || !summary) {
+            status.textContent = 'Pick a project and an issue type and enter a summary.';
+            return;
+        }
+        
+        submitBtn.disabled = true;
+        status.textContent = 'Creating issue...';
+        
+        try {
+            const issue = await this.jiraApi.get(connectionId).createIssue({
+                projectKey: projectKey,
+                issueTypeId: issueTypeId,
+                summary: summary,
+                description: form.elements.description.value.trim(),
+                priorityId: form.elements.priority.value,
+                assigneeId: form.elements.assignee.value
+            });
+            
+            chrome.storage.local.set({ quickCreateDefaults: { connectionId, projectKey, issueTypeId } });
+            
+            // Freshly filed issues go to the top of the list
+            const uid = `${connectionId}:${issue.key}`;
+            this.taskOrder.unshift(uid);
+            await this.saveTaskOrder();
+            
+            form.reset();
+            this.closeQuickCreate();
+            await this.reloadWithIssue(issue.key, uid);
+        } catch (error) {
+            status.textContent = error.message;
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    renderTaskActions() {
+        return `
+            <div class="task-actions">
+                <button type="button" class="action-btn" data-form="comment-form">Comment</button>
+                <button type="button" class="action-btn" data-form="worklog-form">Log work</button>
+            </div>
+            <form class="task-form comment-form hidden">
+                <textarea name="comment" rows="3" placeholder="Add a comment..."></textarea>
+                <div class="task-form-actions">
+                    <button type="button" class="form-btn" data-cancel>Cancel</button>
+                    <button type="submit" class="form-btn form-btn-primary">Add comment</button>
+                </div>
+            </form>
+            <form class="task-form worklog-form hidden">
+                <div class="task-form-row">
+                    <label>
+                        Time spent
+                        <input type="text" name="timeSpent" placeholder="1h 30m">
+                    </label>
+                    <label>
+                        Started
+                        <input type="datetime-local" name="started">
+                    </label>
+                </div>
+                <textarea name="comment" rows="2" placeholder="What did you work on? (optional)"></textarea>
+                <div class="task-form-actions">
+                    <button type="button" class="form-btn" data-cancel>Cancel</button>
+                    <button type="submit" class="form-btn form-btn-primary">Log work</button>
+                </div>
+            </form>
+        `;
+    }
+
+    bindTaskActions(card, task) {
+        card.querySelectorAll('.action-btn').forEach(btn => {
+            btn.addEventListener('click', () => this.toggleTaskForm(card, task, btn.dataset.form));
+        });
+        
+        card.querySelectorAll('.task-form').forEach(form => {
+            const draftKey = this.getDraftKey(task, form);
+            
+            // Cards are rebuilt on every refresh, so unsent input is kept aside
+            const draft = this.drafts.get(draftKey);
+            if (draft) {
+                Object.entries(draft.values).forEach(([name, value]) => {
+                    form.elements[name].value = value;
+                });
+                form.classList.toggle('hidden', !draft.open);
+            }
+            
+            form.addEventListener('input', () => this.saveDraft(draftKey, form));
+            form.querySelector('[data-cancel]').addEventListener('click', () => {
+                form.reset();
+                form.classList.add('hidden');
+                this.drafts.delete(draftKey);
+            });
+        });
+        
+        card.querySelector('.comment-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitComment(card, task, e.target);
+        });
+        
+        card.querySelector('.worklog-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitWorklog(card, task, e.target);
+        });
+    }
+
+    toggleTaskForm(card, task, formClass) {
+        const form = card.querySelector(`.${formClass}`);
+        const opening = form.classList.contains('hidden');
+        
+        card.querySelectorAll('.task-form').forEach(f => f.classList.add('hidden'));
+        form.classList.toggle('hidden', !opening);
+        
+        if (opening) {
+            if (form.elements.started && !form.elements.started.value) {
+                form.elements.started.value = this.toDateTimeLocal(new Date());
+            }
+            form.querySelector('textarea, input').focus();
+        }
+        
+        // Remember which form is open across card rebuilds
+        card.querySelectorAll('.task-form').forEach(f => this.saveDraft(this.getDraftKey(task, f), f));
+    }
+
+    getDraftKey(task, form) {
+        return `${task.uid}:${form.classList.contains('comment-form') ? 'comment' : 'worklog'}`;
+    }
+
+    saveDraft(draftKey, form) {
+        const values = {};
+        Array.from(form.elements)
+            .filter(el => el.name)
+            .forEach(el => { values[el.name] = el.value; });
+        
+        this.drafts.set(draftKey, {
+            open: !form.classList.contains('hidden'),
+            values: values
+        });
+    }
+
+    async submitComment(card, task, form) {
+        const text = form.elements.comment.value.trim();
+        if (!text) return;
+        
+        const submitBtn = form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        this.hideError();
+        
+        try {
+            await this.jiraApi.forTask(task).addComment(task.key, text);
+            
+            form.reset();
+            form.classList.add('hidden');
+            this.drafts.delete(this.getDraftKey(task, form));
+            this.showCardNotice(card, 'Comment added');
+            
+            // Fetch the issue again so the new comment shows up
+            this.issueDetails.delete(task.uid);
+            this.showTaskDetail(card, task);
+        } catch (error) {
+            this.showError(`Could not comment on ${task.key}: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async submitWorklog(card, task, form) {
+        const timeSpent = form.elements.timeSpent.value.trim();
+        
+        if (!this.jiraApi.isValidDuration(timeSpent)) {
+            this.showError('Enter the time spent in JIRA format, for example "1h 30m" or "2d".');
+            form.elements.timeSpent.focus();
+            return;
+        }
+        
+        const submitBtn = form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        this.hideError();
+        
+        try {
+            await this.jiraApi.forTask(task).addWorklog(task.key, {
+                timeSpent: timeSpent,
+                started: form.elements.started.value ? new Date(form.elements.started.value) : new Date(),
+                comment: form.elements.comment.value.trim()
+            });
+            
+            form.reset();
+            form.classList.add('hidden');
+            this.drafts.delete(this.getDraftKey(task, form));
+            this.showCardNotice(card, `Logged ${timeSpent}`);
+        } catch (error) {
+            this.showError(`Could not log work on ${task.key}: ${error.message}`);
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    setupTimeTracking() {
+        // Timers can also be changed from another window's panel
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.timeTracking) return;
+            
+            this.timeTracker.entries = changes.timeTracking.newValue || {};
+            this.updateTimerButtons();
+            
+            if (this.isTimesheetOpen()) {
+                this.renderTimesheet();
+            }
+        });
+        
+        this.updateTimerButtons();
+    }
+
+    async toggleTimer(task) {
+        if (this.timeTracker.isRunning(task.uid)) {
+            await this.timeTracker.stop(task.uid);
+        } else {
+            await this.timeTracker.start(task);
+        }
+        
+        this.updateTimerButtons();
+    }
+
+    updateTimerButtons() {
+        document.querySelectorAll('.task-card').forEach(card => {
+            this.updateTimerButton(card.querySelector('.timer-btn'), card.dataset.uid);
+        });
+        
+        // Only tick while something is actually running
+        const running = Boolean(this.timeTracker.getRunningKey());
+        if (running && !this.timerTick) {
+            this.timerTick = setInterval(() => this.updateRunningTimer(), 1000);
+        } else if (!running && this.timerTick) {
+            clearInterval(this.timerTick);
+            this.timerTick = null;
+        }
+    }
+
+    updateRunningTimer() {
+        const runningKey = this.timeTracker.getRunningKey();
+        const card = document.querySelector(`.task-card[data-uid="${CSS.escape(runningKey || '')}"]`);
+        
+        if (card) {
+            card.querySelector('.timer-elapsed').textContent = this.timeTracker.formatClock(this.timeTracker.getElapsed(runningKey));
+        }
+    }
+
+    updateTimerButton(button, key) {
+        const running = this.timeTracker.isRunning(key);
+        const elapsed = this.timeTracker.getElapsed(key);
+        
+        button.classList.toggle('running', running);
+        button.title = running ? 'Stop timer' : 'Start timer';
+        button.innerHTML = `
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
+                ${running ? '<rect x="6" y="6" width="12" height="12" rx="1"/>' : '<path d="M7 4v16l13-8z"/>'}
+            </svg>
+            <span class="timer-elapsed">${elapsed > 0 ? this.timeTracker.formatClock(elapsed) : ''}</span>
+        `;
+    }
+
+    isTimesheetOpen() {
+        return !document.getElementById('timesheetView').classList.contains('hidden');
+    }
+
+    openTimesheet() {
+        if (this.isTimesheetOpen()) {
+            this.closeTimesheet();
+            return;
+        }
+        
+        this.closeQuickCreate();
+        this.closeDayView();
+        this.closeSnoozedView();
+        this.closeInboxView();
+        document.querySelector('.panel-container').classList.add('timesheet-open');
+        document.getElementById('timesheetView').classList.remove('hidden');
+        document.getElementById('timesheetStatus').textContent = '';
+        this.renderTimesheet();
+    }
+
+    closeTimesheet() {
+        document.querySelector('.panel-container').classList.remove('timesheet-open');
+        document.getElementById('timesheetView').classList.add('hidden');
+    }
+
+    renderTimesheet() {
+        const list = document.getElementById('timesheetList');
+        const entries = this.timeTracker.entries;
+        const keys = Object.keys(entries);
+        
+        if (keys.length === 0) {
+            list.innerHTML = '<p class="timesheet-empty">No tracked time yet. Start a timer on a task card.</p>';
+            document.getElementById('submitWorklogsBtn').disabled = true;
+            return;
+        }
+        
+        list.innerHTML = keys.map(key => {
+            const entry = entries[key];
+            const sessions = entry.sessions.map(session => `
+                <div class="timesheet-session" data-session-id="${this.escapeHtml(session.id)}">
+                    <input type="datetime-local" class="session-start" value="${this.toDateTimeLocal(new Date(session.start))}">
+                    <input type="number" class="session-minutes" min="1" value="${Math.max(1, Math.round((session.end - session.start) / 60000))}">
+                    <span class="session-unit">min</span>
+                    <button type="button" class="session-remove" title="Discard this session">&times;</button>
+                </div>
+            `).join('');
+            const error = this.timesheetState.errors[key];
+            
+            return `
+                <div class="timesheet-entry" data-key="${this.escapeHtml(key)}">
+                    <div class="timesheet-entry-header">
+                        <label>
+                            <input type="checkbox" class="timesheet-select" ${this.timesheetState.unselected.has(key) ? '' : 'checked'} ${entry.sessions.length === 0 ? 'disabled' : ''}>
+                            <a href="${this.escapeHtml(entry.url)}" target="_blank" class="task-key">${this.escapeHtml(entry.key)}</a>
+                        </label>
+                        <span class="timesheet-total">${this.timeTracker.formatDuration(this.timeTracker.getElapsed(key))}</span>
+                    </div>
+                    <div class="timesheet-summary">${this.escapeHtml(entry.summary || '')}</div>
+                    ${sessions}
+                    ${entry.runningSince ? '<div class="timesheet-running">Timer running - stop it to include the current session.</div>' : ''}
+                    ${entry.sessions.length > 0 ? `<textarea class="timesheet-comment" rows="2" placeholder="What did you work on? (optional)">${this.escapeHtml(this.timesheetState.comments[key] || '')}</textarea>` : ''}
+                    <div class="timesheet-error ${error ? '' : 'hidden'}">${this.escapeHtml(error || '')}</div>
+                </div>
+            `;
+        }).join('');
+        
+        document.getElementById('submitWorklogsBtn').disabled = this.timeTracker.getRecordedKeys().length === 0;
+        
+        list.querySelectorAll('.timesheet-entry').forEach(entryEl => {
+            const key = entryEl.dataset.key;
+            
+            entryEl.querySelector('.timesheet-select').addEventListener('change', (e) => {
+                if (e.target.checked) {
+                    this.timesheetState.unselected.delete(key);
+                } else {
+                    this.timesheetState.unselected.add(key);
+                }
+            });
+            
+            entryEl.querySelector('.timesheet-comment')?.addEventListener('input', (e) => {
+                this.timesheetState.comments[key] = e.target.value;
+            });
+            
+            entryEl.querySelectorAll('.timesheet-session').forEach(sessionEl => {
+                const sessionId = sessionEl.dataset.sessionId;
+                const startInput = sessionEl.querySelector('.session-start');
+                const minutesInput = sessionEl.querySelector('.session-minutes');
+                
+                const saveSession = () => {
+                    const start = new Date(startInput.value).getTime();
+                    const minutes = parseInt(minutesInput.value, 10);
+                    if (isNaN(start) || !(minutes > 0)) return;
+                    
+                    this.timeTracker.updateSession(key, sessionId, {
+                        start: start,
+                        end: start + minutes * 60000
+                    });
+                };
+                
+                startInput.addEventListener('change', saveSession);
+                minutesInput.addEventListener('change', saveSession);
+                sessionEl.querySelector('.session-remove').addEventListener('click', () => {
+                    this.timeTracker.removeSession(key, sessionId);
+                });
+            });
+        });
+    }
+
+    async submitWorklogs() {
+        const submitBtn = document.getElementById('submitWorklogsBtn');
+        const statusEl = document.getElementById('timesheetStatus');
+        const keys = this.timeTracker.getRecordedKeys().filter(key => !this.timesheetState.unselected.has(key));
+        
+        if (keys.length === 0) return;
+        
+        submitBtn.disabled = true;
+        statusEl.textContent = 'Submitting...';
+        this.timesheetState.errors = {};
+        let submitted = 0;
+        
+        for (const key of keys) {
+            const entry = this.timeTracker.entries[key];
+            const comment = (this.timesheetState.comments[key] || '').trim();
+            
+            // One worklog per session keeps the real start times in JIRA
+            for (const session of [...entry.sessions]) {
+                try {
+                    await this.jiraApi.get(entry.connectionId).addWorklog(entry.key, {
+                        // JIRA rejects worklogs shorter than a minute
+                        timeSpentSeconds: Math.max(1, Math.round((session.end - session.start) / 60000)) * 60,
+                        started: new Date(session.start),
+                        comment: comment
+                    });
+                    await this.timeTracker.removeSession(key, session.id);
+                    submitted++;
+                } catch (error) {
+                    this.timesheetState.errors[key] = error.message;
+                    break;
+                }
+            }
+            
+            if (!this.timesheetState.errors[key]) {
+                delete this.timesheetState.comments[key];
+            }
+        }
+        
+        const failed = Object.keys(this.timesheetState.errors).length;
+        statusEl.textContent = failed > 0
+            ? `Submitted ${submitted} worklog${submitted !== 1 ? 's' : ''}, ${failed} issue${failed !== 1 ? 's' : ''} failed`
+            : `Submitted ${submitted} worklog${submitted !== 1 ? 's' : ''}`;
+        
+        this.renderTimesheet();
+    }
+
+    setupDailyPlan() {
+        document.getElementById('closeDayBtn').addEventListener('click', () => this.closeDayView());
+        document.getElementById('startDayBtn').addEventListener('click', () => this.startDay());
+        
+        // A panel left open overnight rolls over the next time it's looked at
+        window.addEventListener('focus', () => this.checkRollover());
+        
+        // Keep Today in step with another window's panel
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.todayPlan?.newValue) return;
+            
+            const plan = changes.todayPlan.newValue;
+            // Our own saves come back through here too
+            if (JSON.stringify(plan) === JSON.stringify(this.dailyPlan.plan)) return;
+            
+            this.dailyPlan.plan = plan;
+            if (this.dayViewMode === 'rollover' && !this.dailyPlan.needsRollover()) {
+                this.closeDayView();
+            }
+            this.renderTasks();
+        });
+        
+        this.checkRollover();
+    }
+
+    async toggleToday(task) {
+        if (this.dailyPlan.has(task.uid)) {
+            await this.dailyPlan.remove(task.uid);
+        } else {
+            await this.dailyPlan.add(task.uid);
+        }
+        
+        this.renderTasks();
+        this.getSelectedCard()?.scrollIntoView({ block: 'nearest' });
+    }
+
+    // A plan from an earlier day asks what carries over, unless there's nothing to look back on
+    async checkRollover() {
+        if (!this.dailyPlan.needsRollover() || this.dayViewMode === 'rollover') return;
+        
+        const unfinished = this.getPlannedTasks().filter(item => !item.done);
+        if (unfinished.length === 0 && this.dailyPlan.getMovedToDone(this.dailyPlan.plan.date).length === 0) {
+            await this.dailyPlan.startDay([]);
+            this.renderTasks();
+            return;
+        }
+        
+        this.openDayView('rollover');
+    }
+
+    getPlannedTasks() {
+        return this.dailyPlan.plan.uids.map(uid => this.describePlannedTask(uid)).filter(Boolean);
+    }
+
+    // Planned tasks may belong to another tab, or have left the results since they were planned
+    describePlannedTask(uid) {
+        const task = this.tasks.find(t => t.uid === uid)
+            || Object.values(this.taskCache).flatMap(cached => cached.tasks).find(t => t.uid === uid);
+        if (task) {
+            return { uid: uid, key: task.key, summary: task.summary, done: this.dailyPlan.isDone(task), inResults: true };
+        }
+        
+        if (uid.startsWith('local:')) {
+            const todo = this.localTodos.get(uid.slice('local:'.length));
+            // Deleted todos just fall off the plan
+            return todo ? { uid: uid, key: '', summary: todo.summary, done: todo.done, inResults: true } : null;
+        }
+        
+        return {
+            uid: uid,
+            key: uid.slice(uid.indexOf(':') + 1),
+            summary: '',
+            done: false,
+            ...this.dailyPlan.getLastSeen(uid),
+            inResults: false
+        };
+    }
+
+    openDayView(mode) {
+        this.closeTimesheet();
+        this.closeQuickCreate();
+        this.closeSnoozedView();
+        this.closeInboxView();
+        this.dayViewMode = mode;
+        
+        document.querySelector('.panel-container').classList.add('day-open');
+        document.getElementById('dayView').classList.remove('hidden');
+        this.renderDayView();
+    }
+
+    closeDayView() {
+        this.dayViewMode = null;
+        document.querySelector('.panel-container').classList.remove('day-open');
+        document.getElementById('dayView').classList.add('hidden');
+    }
+
+    // The rollover looks back at the day the plan was made for; the summary at today so far
+    renderDayView() {
+        const list = document.getElementById('dayList');
+        const rollover = this.dayViewMode === 'rollover';
+        const date = rollover ? this.dailyPlan.plan.date : this.dailyPlan.getToday();
+        const dayLabel = rollover ? this.formatDate(date) : 'today';
+        const planned = this.getPlannedTasks();
+        const movedToDone = this.dailyPlan.getMovedToDone(date);
+        
+        document.getElementById('dayTitle').textContent = rollover ? 'Start your day' : "Today's summary";
+        document.getElementById('closeDayBtn').classList.toggle('hidden', rollover);
+        document.getElementById('startDayBtn').classList.toggle('hidden', !rollover);
+        
+        const renderItem = (item) => `
+            <span class="task-key">${this.escapeHtml(item.key || 'Todo')}</span>
+            <span class="day-item-summary">${this.escapeHtml(item.summary)}</span>
+        `;
+        const doneSection = `
+            <div class="day-section">
+                <h3>Moved to Done ${rollover ? 'on ' : ''}${this.escapeHtml(dayLabel)}</h3>
+                ${movedToDone.length > 0
+                    ? `<ul class="day-items">${movedToDone.map(item => `<li class="day-item done">${renderItem(item)}</li>`).join('')}</ul>`
+                    : '<p class="day-empty">Nothing moved to Done.</p>'}
+            </div>
+        `;
+        
+        if (rollover) {
+            const unfinished = planned.filter(item => !item.done);
+            const carried = unfinished.length;
+            document.getElementById('dayStatus').textContent = `${carried} unfinished task${carried !== 1 ? 's' : ''}`;
+            
+            // Tasks that left the results were most likely finished or handed over, so they're
+            // offered unticked
+            list.innerHTML = doneSection + `
+                <div class="day-section">
+                    <h3>Carry over to today</h3>
+                    ${unfinished.length > 0 ? `<ul class="day-items">${unfinished.map(item => `
+                        <li class="day-item">
+                            <label>
+                                <input type="checkbox" class="day-carry" value="${this.escapeHtml(item.uid)}" ${item.inResults ? 'checked' : ''}>
+                                ${renderItem(item)}
+                            </label>
+                            ${item.inResults ? '' : '<small class="day-item-note">No longer in your results</small>'}
+                        </li>
+                    `).join('')}</ul>` : '<p class="day-empty">Everything you planned got done.</p>'}
+                </div>
+            `;
+            return;
+        }
+        
+        const finished = planned.filter(item => item.done).length;
+        document.getElementById('dayStatus').textContent = `${finished} of ${planned.length} planned task${planned.length !== 1 ? 's' : ''} done`;
+        
+        list.innerHTML = `
+            <div class="day-section">
+                <h3>Planned for today</h3>
+                ${planned.length > 0
+                    ? `<ul class="day-items">${planned.map(item => `<li class="day-item ${item.done ? 'done' : ''}">${renderItem(item)}</li>`).join('')}</ul>`
+                    : '<p class="day-empty">Nothing planned yet. Drag cards into Today to plan your day.</p>'}
+            </div>
+        ` + doneSection;
+    }
+
+    async startDay() {
+        const carried = [...document.querySelectorAll('#dayList .day-carry:checked')].map(input => input.value);
+        
+        await this.dailyPlan.startDay(carried);
+        this.closeDayView();
+        this.renderTasks();
+    }
+
+    isPinned(uid) {
+        return this.pinnedUids.includes(uid);
+    }
+
+    // Pins belong to the task rather than the tab, so a pinned issue is on top wherever it shows
+    async togglePin(task) {
+        this.pinnedUids = this.isPinned(task.uid)
+            ? this.pinnedUids.filter(uid => uid !== task.uid)
+            : [...this.pinnedUids, task.uid];
+        
+        await this.savePins();
+        this.renderTasks();
+        this.getSelectedCard()?.scrollIntoView({ block: 'nearest' });
+    }
+
+    async savePins() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ pinnedTasks: this.pinnedUids }, resolve);
+        });
+    }
+
+    setupPins() {
+        // Keep pins in step with another window's panel
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.pinnedTasks) return;
+            
+            const pinned = changes.pinnedTasks.newValue || [];
+            // Our own saves come back through here too
+            if (JSON.stringify(pinned) === JSON.stringify(this.pinnedUids)) return;
+            
+            this.pinnedUids = pinned;
+            this.renderTasks();
+        });
+    }
+
+    // Pins are shared by all tabs, so one only goes once its task is in none of their cached
+    // results. While a tab has pages left to load, the task may just not have been reached.
+    async prunePins() {
+        const cached = Object.values(this.taskCache);
+        if (cached.some(entry => typeof entry.total !== 'number' || entry.tasks.length < entry.total)) return;
+        
+        const known = new Set([
+            ...cached.flatMap(entry => entry.tasks.map(t => t.uid)),
+            ...this.localTodos.todos.map(todo => this.localTodos.toTask(todo).uid)
+        ]);
+        const pinned = this.pinnedUids.filter(uid => known.has(uid));
+        if (pinned.length === this.pinnedUids.length) return;
+        
+        this.pinnedUids = pinned;
+        await this.savePins();
+    }
+
+    setupSnoozes() {
+        document.getElementById('snoozedBtn').addEventListener('click', () => this.openSnoozedView());
+        document.getElementById('closeSnoozedBtn').addEventListener('click', () => this.closeSnoozedView());
+        
+        // The background wakes tasks by removing their entries; panels in other windows snooze too
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.snoozedTasks) return;
+            
+            const entries = changes.snoozedTasks.newValue || {};
+            // Our own saves come back through here too
+            if (JSON.stringify(entries) === JSON.stringify(this.snoozes.entries)) return;
+            
+            this.snoozes.entries = entries;
+            this.refreshSnoozes();
+        });
+    }
+
+    refreshSnoozes() {
+        this.renderTasks();
+        this.updateStats();
+        
+        if (this.isSnoozedViewOpen()) {
+            this.renderSnoozedView();
+        }
+    }
+
+    // Presets that would already be over are left out, like "later today" late in the evening
+    getSnoozePresets(now = new Date()) {
+        const later = new Date(now.getTime() + 3 * 3600000);
+        const tomorrow = new Date(now);
+        tomorrow.setDate(now.getDate() + 1);
+        tomorrow.setHours(9, 0, 0, 0);
+        // Next Monday morning, a full week ahead when today is Monday
+        const nextWeek = new Date(now);
+        nextWeek.setDate(now.getDate() + ((8 - now.getDay()) % 7 || 7));
+        nextWeek.setHours(9, 0, 0, 0);
+        
+        return [
+            { label: 'Later today', until: later.getTime(), available: later.getDate() === now.getDate() },
+            { label: 'Tomorrow', until: tomorrow.getTime(), available: true },
+            { label: 'Next week', until: nextWeek.getTime(), available: true }
+        ].filter(preset => preset.available);
+    }
+
+    toggleSnoozeMenu(card, task, focusMenu = false) {
+        const wrapper = card.querySelector('.card-flags');
+        const openMenu = wrapper.querySelector('.transition-menu');
+        
+        this.closeTransitionMenus();
+        if (openMenu) return;
+        
+        this.hideCardError(card);
+        
+        const presets = this.getSnoozePresets();
+        const menu = document.createElement('div');
+        menu.className = 'transition-menu snooze-menu';
+        menu.innerHTML = `
+            ${presets.map((preset, index) => `
+                <button type="button" class="transition-menu-item" data-preset="${index}">
+                    <span>${preset.label}</span>
+                    <span class="snooze-time">${this.escapeHtml(this.formatSnoozeTime(preset.until))}</span>
+                </button>
+            `).join('')}
+            <form class="snooze-custom">
+                <input type="datetime-local" name="until" min="${this.toDateTimeLocal(new Date())}" required>
+                <button type="submit" class="form-btn">Snooze</button>
+            </form>
+            <label class="snooze-notify">
+                <input type="checkbox" name="notify" checked>
+                Notify me when it's back
+            </label>
+        `;
+        
+        // The menu handles its own clicks, and its fields shouldn't start a drag
+        menu.addEventListener('click', (e) => e.stopPropagation());
+        menu.addEventListener('mouseenter', () => { card.draggable = false; });
+        menu.addEventListener('mouseleave', () => { card.draggable = this.sortBy === 'manual'; });
+        
+        const notify = () => menu.querySelector('[name="notify"]').checked;
+        menu.querySelectorAll('[data-preset]').forEach(button => {
+            button.addEventListener('click', () => this.snoozeTask(task, presets[Number(button.dataset.preset)].until, notify()));
+        });
+        menu.querySelector('.snooze-custom').addEventListener('submit', (e) => {
+            e.preventDefault();
+            
+            const until = new Date(e.target.elements.until.value).getTime();
+            if (!(until > Date.now())) {
+                this.showCardError(card, 'Pick a time in the future.');
+                return;
+            }
+            this.snoozeTask(task, until, notify());
+        });
+        
+        wrapper.appendChild(menu);
+        
+        if (focusMenu) {
+            menu.querySelector('.transition-menu-item').focus();
+        }
+    }
+
+    async snoozeTask(task, until, notify) {
+        this.closeTransitionMenus();
+        await this.snoozes.snooze(task, until, notify);
+        this.refreshSnoozes();
+    }
+
+    // Within the coming week the weekday is enough
+    formatSnoozeTime(until) {
+        return until - Date.now() < 6 * 86400000
+            ? new Date(until).toLocaleString([], { weekday: 'short', hour: 'numeric', minute: '2-digit' })
+            : this.formatDate(until, true);
+    }
+
+    isSnoozedViewOpen() {
+        return !document.getElementById('snoozedView').classList.contains('hidden');
+    }
+
+    openSnoozedView() {
+        this.closeTimesheet();
+        this.closeQuickCreate();
+        this.closeDayView();
+        this.closeInboxView();
+        
+        document.querySelector('.panel-container').classList.add('snoozed-open');
+        document.getElementById('snoozedView').classList.remove('hidden');
+        this.renderSnoozedView();
+    }
+
+    closeSnoozedView() {
+        document.querySelector('.panel-container').classList.remove('snoozed-open');
+        document.getElementById('snoozedView').classList.add('hidden');
+    }
+
+    // Snoozes from every tab, soonest first. Changing the time or the notification re-snoozes the task.
+    renderSnoozedView() {
+        const list = document.getElementById('snoozedList');
+        const entries = Object.entries(this.snoozes.entries).sort(([, a], [, b]) => a.until - b.until);
+        
+        document.getElementById('snoozedStatus').textContent = entries.length > 0
+            ? `Next one is back ${this.formatSnoozeTime(entries[0][1].until)}`
+            : '';
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="timesheet-empty">Nothing is snoozed. Use the moon on a card to hide it for a while.</p>';
+            return;
+        }
+        
+        list.innerHTML = entries.map(([uid, entry]) => `
+            <div class="timesheet-entry" data-uid="${this.escapeHtml(uid)}">
+                <div class="timesheet-entry-header">
+                    ${entry.url
+                        ? `<a href="${this.escapeHtml(entry.url)}" target="_blank" class="task-key">${this.escapeHtml(entry.key)}</a>`
+                        : '<span class="task-key">Todo</span>'}
+                    <button type="button" class="form-btn" data-wake>Show now</button>
+                </div>
+                <div class="timesheet-summary">${this.escapeHtml(entry.summary || '')}</div>
+                <div class="snoozed-settings">
+                    <label>
+                        Until
+                        <input type="datetime-local" class="snoozed-until" value="${this.toDateTimeLocal(new Date(entry.until))}">
+                    </label>
+                    <label>
+                        <input type="checkbox" class="snoozed-notify" ${entry.notify ? 'checked' : ''}>
+                        Notify me
+                    </label>
+                </div>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.timesheet-entry').forEach(entryEl => {
+            const uid = entryEl.dataset.uid;
+            const entry = this.snoozes.entries[uid];
+            const untilInput = entryEl.querySelector('.snoozed-until');
+            const notifyInput = entryEl.querySelector('.snoozed-notify');
+            
+            const resnooze = async () => {
+                const until = new Date(untilInput.value).getTime();
+                if (!(until > Date.now())) {
+                    untilInput.value = this.toDateTimeLocal(new Date(entry.until));
+                    return;
+                }
+                
+                await this.snoozes.snooze({ uid: uid, ...entry }, until, notifyInput.checked);
+                this.refreshSnoozes();
+            };
+            
+            untilInput.addEventListener('change', resnooze);
+            notifyInput.addEventListener('change', resnooze);
+            entryEl.querySelector('[data-wake]').addEventListener('click', async () => {
+                await this.snoozes.wake(uid);
+                this.refreshSnoozes();
+            });
+        });
+    }
+
+    openInJira(task) {
+        this.markInboxRead(task.uid);
+        chrome.tabs.create({ url: task.url });
+    }
+
+    setupInbox() {
+        document.getElementById('inboxBtn').addEventListener('click', () => this.openInboxView());
+        document.getElementById('closeInboxBtn').addEventListener('click', () => this.closeInboxView());
+        document.getElementById('markInboxReadBtn').addEventListener('click', async () => {
+            await this.inbox.markAllRead();
+            this.refreshInbox();
         });
         
-        document.getElementById('filterStatus').addEventListener('change', (e) => {
-            this.filterByStatus(e.target.value);
+        // Panels in other windows mark items read too
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            if (areaName !== 'local' || !changes.inboxReads) return;
+            
+            const reads = changes.inboxReads.newValue || {};
+            // Our own saves come back through here too
+            if (JSON.stringify(reads) === JSON.stringify(this.inbox.reads)) return;
+            
+            this.inbox.reads = reads;
+            this.refreshInbox();
         });
     }
 
-    async loadTasks(forceReload = false) {
-        if (this.isLoading) return;
+    async loadInbox() {
+        this.inboxSettings = await new Promise((resolve) => {
+            chrome.storage.sync.get({ showInbox: true, inboxDays: 14 }, resolve);
+        });
+        // A newer refresh supersedes one still running
+        this.inboxController?.abort();
         
-        this.isLoading = true;
-        this.showLoading(true);
-        this.hideError();
+        if (!this.inboxSettings.showInbox) {
+            this.inbox.setItems([]);
+            this.inboxErrors = [];
+            this.closeInboxView();
+            this.refreshInbox();
+            return;
+        }
+        
+        const controller = new AbortController();
+        this.inboxController = controller;
         
         try {
-            this.tasks = await this.jiraApi.searchTasks(forceReload);
-            
-            if (this.taskOrder.length === 0) {
-                this.taskOrder = this.tasks.map(t => t.key);
-            } else {
-                const existingKeys = new Set(this.tasks.map(t => t.key));
-                this.taskOrder = this.taskOrder.filter(key => existingKeys.has(key));
-                
-                const newKeys = this.tasks
-                    .map(t => t.key)
-                    .filter(key => !this.taskOrder.includes(key));
-                this.taskOrder.push(...newKeys);
-            }
-            
-            await this.saveTaskOrder();
-            this.renderTasks();
-            this.updateStats();
-            
-            if (this.tasks.length === 0) {
-                this.showEmptyState();
-            }
+            const result = await this.jiraApi.searchInbox(this.inboxSettings.inboxDays, controller.signal);
+            this.inbox.setItems(result.tasks);
+            this.inboxErrors = result.errors;
         } catch (error) {
-            this.showError(error.message);
+            if (error instanceof JiraCancelledError) return;
+            // Items from the last successful load stay listed
+            this.inboxErrors = [error.message];
         } finally {
-            this.isLoading = false;
-            this.showLoading(false);
+            if (this.inboxController === controller) {
+                this.inboxController = null;
+            }
         }
+        
+        this.refreshInbox();
     }
 
-    renderTasks() {
-        const container = document.getElementById('taskList');
-        container.innerHTML = '';
+    refreshInbox() {
+        this.updateInboxCount();
         
-        if (this.tasks.length === 0) {
-            this.showEmptyState();
+        if (this.isInboxViewOpen()) {
+            this.renderInboxView();
+        }
+    }
+
+    updateInboxCount() {
+        const unread = this.inbox.getUnreadCount();
+        const button = document.getElementById('inboxBtn');
+        const count = document.getElementById('inboxCount');
+        
+        button.classList.toggle('hidden', !this.inboxSettings.showInbox);
+        button.title = unread > 0 ? `Inbox: ${unread} unread` : 'Inbox: watched issues and mentions';
+        count.textContent = unread > 99 ? '99+' : unread;
+        count.classList.toggle('hidden', unread === 0);
+        
+        if (this.isInboxViewOpen()) {
+            document.getElementById('markInboxReadBtn').disabled = unread === 0;
+        }
+    }
+
+    // Only items that are actually unread are written, so expanding any card can call this
+    async markInboxRead(uid) {
+        if (!await this.inbox.markRead(uid)) return;
+        
+        document.querySelectorAll(`.inbox-item[data-uid="${CSS.escape(uid)}"]`).forEach(item => {
+            item.classList.remove('unread');
+        });
+        this.updateInboxCount();
+    }
+
+    isInboxViewOpen() {
+        return !document.getElementById('inboxView').classList.contains('hidden');
+    }
+
+    openInboxView() {
+        this.closeTimesheet();
+        this.closeQuickCreate();
+        this.closeDayView();
+        this.closeSnoozedView();
+        
+        document.querySelector('.panel-container').classList.add('inbox-open');
+        document.getElementById('inboxView').classList.remove('hidden');
+        this.renderInboxView();
+        this.loadInbox();
+    }
+
+    closeInboxView() {
+        document.querySelector('.panel-container').classList.remove('inbox-open');
+        document.getElementById('inboxView').classList.add('hidden');
+    }
+
+    // Mentions come first as they usually want an answer; both groups are newest first.
+    // Items expand into the same detail pane as task cards, which marks them read.
+    renderInboxView() {
+        const list = document.getElementById('inboxList');
+        const items = this.inbox.items;
+        const days = this.inboxSettings.inboxDays;
+        const status = document.getElementById('inboxStatus');
+        
+        status.textContent = this.inboxErrors.length > 0
+            ? this.inboxErrors.join('\n')
+            : `${this.inbox.getUnreadCount()} unread · last ${days} days`;
+        status.classList.toggle('inbox-error', this.inboxErrors.length > 0);
+        this.updateInboxCount();
+        
+        if (items.length === 0) {
+            list.innerHTML = `<p class="timesheet-empty">No activity on issues you watch and no mentions in the last ${days} days.</p>`;
             return;
         }
         
-        this.hideEmptyState();
+        const sections = [
+            { title: 'Mentions', items: items.filter(item => item.inbox.mention) },
+            { title: 'Watching', items: items.filter(item => !item.inbox.mention) }
+        ].filter(section => section.items.length > 0);
         
-        const sortedTasks = this.taskOrder
-            .map(key => this.tasks.find(t => t.key === key))
-            .filter(Boolean);
+        list.innerHTML = sections.map(section => `
+            <div class="day-section">
+                <h3>${section.title}</h3>
+                <div class="inbox-items">
+                    ${section.items.map(item => this.renderInboxItem(item)).join('')}
+                </div>
+            </div>
+        `).join('');
         
-        sortedTasks.forEach((task, index) => {
-            const card = this.createTaskCard(task, index);
-            container.appendChild(card);
+        list.querySelectorAll('.inbox-item').forEach(itemEl => {
+            const item = this.inbox.find(itemEl.dataset.uid);
+            
+            itemEl.querySelector('.task-key').addEventListener('click', () => this.markInboxRead(item.uid));
+            itemEl.addEventListener('click', (e) => {
+                if (e.target.closest('button, a, input, textarea, select, .task-detail')) return;
+                this.toggleTaskDetail(itemEl, item);
+            });
+            
+            if (this.expandedKeys.has(item.uid)) {
+                this.showTaskDetail(itemEl, item);
+            }
         });
     }
 
-    createTaskCard(task, index) {
-        const card = document.createElement('div');
-        card.className = 'task-card';
-        card.draggable = true;
-        card.dataset.taskKey = task.key;
-        card.dataset.index = index;
+    renderInboxItem(item) {
+        const { mention, watching } = item.inbox;
+        const excerpt = mention ? this.docRenderer.getPlainText(mention.body).replace(/\s+/g, ' ').trim().slice(0, 200) : '';
+        const reasons = [];
         
-        const priorityClass = this.getPriorityClass(task.priority.name);
-        const statusClass = this.getStatusClass(task.status.category);
+        if (mention) {
+            reasons.push(`Mentioned by ${this.escapeHtml(mention.author)} ${this.escapeHtml(this.formatRelativeTime(mention.created))}`);
+        }
+        if (watching) {
+            reasons.push(`Watching · updated ${this.escapeHtml(this.formatRelativeTime(item.updated))}`);
+        }
         
-        card.innerHTML = `
-            <div class="task-header">
-                <div class="task-meta">
-                    <span class="task-key">${this.escapeHtml(task.key)}</span>
-                    <span class="task-type">${this.escapeHtml(task.type.name)}</span>
+        return `
+            <div class="timesheet-entry inbox-item ${this.inbox.isUnread(item) ? 'unread' : ''}" data-uid="${this.escapeHtml(item.uid)}">
+                <div class="timesheet-entry-header">
+                    <div class="task-meta">
+                        ${this.renderConnectionTag(item)}
+                        <a href="${this.escapeHtml(item.url)}" target="_blank" class="task-key" title="Open in JIRA">${this.escapeHtml(item.key)}</a>
+                    </div>
+                    <span class="detail-status ${this.getStatusClass(item.status.category)}">${this.escapeHtml(item.status.name)}</span>
                 </div>
-                <div class="task-priority ${priorityClass}" title="${this.escapeHtml(task.priority.name)} priority">
-                    <svg width="12" height="12" viewBox="0 0 24 24" fill="currentColor">
-                        <path d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"/>
-                    </svg>
+                <div class="timesheet-summary">${this.escapeHtml(item.summary)}</div>
+                <div class="inbox-reasons">
+                    ${reasons.map(reason => `<span class="inbox-reason">${reason}</span>`).join('')}
+                </div>
+                ${excerpt ? `<blockquote class="inbox-excerpt">${this.escapeHtml(excerpt)}</blockquote>` : ''}
+                <div class="task-error hidden"></div>
+                <div class="task-detail hidden">
+                    <div class="task-detail-content"></div>
                 </div>
-            </div>
-            <h3 class="task-title">${this.escapeHtml(task.summary)}</h3>
-            <div class="task-footer">
-                <span class="task-status ${statusClass}">${this.escapeHtml(task.status.name)}</span>
-                <a href="${this.escapeHtml(task.url)}" target="_blank" class="task-link" title="Open in JIRA">
-                    <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-                        <path d="M18 13v6a2 2 0 01-2 2H5a2 2 0 01-2-2V8a2 2 0 012-2h6M15 3h6v6M10 14L21 3"/>
-                    </svg>
-                </a>
             </div>
         `;
+    }
+
+    // datetime-local inputs take local time without a zone suffix
+    toDateTimeLocal(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    formatDate(value, withTime = false) {
+        // Date-only values (due dates) would otherwise shift a day in timezones west of UTC
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(value) ? new Date(`${value}T00:00:00`) : new Date(value);
         
-        card.addEventListener('dragstart', (e) => this.handleDragStart(e));
-        card.addEventListener('dragover', (e) => this.handleDragOver(e));
-        card.addEventListener('drop', (e) => this.handleDrop(e));
-        card.addEventListener('dragend', (e) => this.handleDragEnd(e));
+        return withTime
+            ? date.toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' })
+            : date.toLocaleDateString([], { dateStyle: 'medium' });
+    }
+
+    formatRelativeTime(value) {
+        const seconds = (new Date(value).getTime() - Date.now()) / 1000;
+        const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+        const [unit, size] = units.find(([, size]) => Math.abs(seconds) >= size) || ['second', 1];
         
-        return card;
+        return new Intl.RelativeTimeFormat([], { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+    }
+
+    async toggleTransitionMenu(card, task, focusMenu = false) {
+        const wrapper = card.querySelector('.task-status-wrapper');
+        const openMenu = wrapper.querySelector('.transition-menu');
+        
+        this.closeTransitionMenus();
+        if (openMenu) return;
+        
+        this.hideCardError(card);
+        
+        const menu = document.createElement('div');
+        menu.className = 'transition-menu';
+        menu.innerHTML = '<div class="transition-menu-message">Loading transitions...</div>';
+        wrapper.appendChild(menu);
+        
+        let transitions;
+        try {
+            transitions = await this.jiraApi.forTask(task).getTransitions(task.key);
+        } catch (error) {
+            menu.remove();
+            this.showCardError(card, error.message);
+            return;
+        }
+        
+        // The menu may have been dismissed while the request was in flight
+        if (!menu.isConnected) return;
+        
+        if (transitions.length === 0) {
+            menu.innerHTML = '<div class="transition-menu-message">No transitions available</div>';
+            return;
+        }
+        
+        menu.innerHTML = '';
+        transitions.forEach(transition => {
+            const item = document.createElement('button');
+            item.type = 'button';
+            item.className = 'transition-menu-item';
+            item.innerHTML = `
+                <span class="transition-name">${this.escapeHtml(transition.name)}</span>
+                <span class="transition-target ${this.getStatusClass(transition.to.category)}">${this.escapeHtml(transition.to.name)}</span>
+            `;
+            item.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.performTransition(card, task, transition);
+            });
+            menu.appendChild(item);
+        });
+        
+        if (focusMenu) {
+            menu.querySelector('.transition-menu-item').focus();
+        }
+    }
+
+    closeTransitionMenus() {
+        document.querySelectorAll('.transition-menu').forEach(menu => menu.remove());
+    }
+
+    async performTransition(card, task, transition) {
+        this.closeTransitionMenus();
+        
+        // Transitions with a screen need input we can't collect here
+        if (transition.requiredFields.length > 0) {
+            this.showCardError(card, `"${transition.name}" requires ${transition.requiredFields.join(', ')}. Open the issue in JIRA to complete it.`);
+            return false;
+        }
+        
+        const statusBtn = card.querySelector('.task-status');
+        statusBtn.disabled = true;
+        statusBtn.textContent = transition.to.name;
+        
+        try {
+            await this.jiraApi.forTask(task).transitionIssue(task.key, transition.id);
+        } catch (error) {
+            statusBtn.disabled = false;
+            statusBtn.textContent = task.status.name;
+            this.showCardError(card, error.message);
+            return false;
+        }
+        
+        task.status = {
+            name: transition.to.name,
+            category: transition.to.category
+        };
+        this.dailyPlan.record([task]);
+        
+        if (this.groupBy === 'status') {
+            // The new status may belong in another group
+            this.renderTasks();
+            return true;
+        }
+        
+        const updatedCard = this.createTaskCard(task, card.dataset.index);
+        card.replaceWith(updatedCard);
+        // A status filter may no longer match
+        this.applyFilters();
+        return true;
+    }
+
+    showCardError(card, message) {
+        const errorEl = card.querySelector('.task-error');
+        errorEl.textContent = message;
+        errorEl.classList.remove('hidden');
+    }
+
+    hideCardError(card) {
+        card.querySelector('.task-error').classList.add('hidden');
+    }
+
+    showCardNotice(card, message) {
+        const noticeEl = card.querySelector('.task-notice');
+        noticeEl.textContent = message;
+        noticeEl.classList.remove('hidden');
+        
+        setTimeout(() => {
+            noticeEl.classList.add('hidden');
+        }, 3000);
     }
 
     handleDragStart(e) {
         this.draggedElement = e.target.closest('.task-card');
+        // Remember where the card came from so a rejected status change can put it back
+        this.dragSource = {
+            container: this.draggedElement.parentNode,
+            nextSibling: this.draggedElement.nextSibling,
+            groupId: this.draggedElement.closest('.task-group')?.dataset.groupId
+        };
         e.target.classList.add('dragging');
         e.dataTransfer.effectAllowed = 'move';
         e.dataTransfer.setData('text/html', e.target.innerHTML);
     }
 
     handleDragOver(e) {
+        const container = e.currentTarget.parentNode;
+        if (!this.canDropInto(container)) return;
+        
         if (e.preventDefault) {
             e.preventDefault();
         }
         e.dataTransfer.dropEffect = 'move';
         
-        const afterElement = this.getDragAfterElement(e.currentTarget.parentNode, e.clientY);
+        const afterElement = this.getDragAfterElement(container, e.clientY);
         const dragging = document.querySelector('.dragging');
         
         if (afterElement == null) {
-            e.currentTarget.parentNode.appendChild(dragging);
+            // Keep the load-more trigger as the last item in the list
+            container.insertBefore(dragging, container.querySelector('.load-more'));
         } else {
-            e.currentTarget.parentNode.insertBefore(dragging, afterElement);
+            container.insertBefore(dragging, afterElement);
         }
         
         return false;
     }
 
+    // Covers the empty parts of a group and collapsed groups; cards position themselves
+    handleGroupDragOver(e) {
+        if (e.target.closest('.task-card')) return;
+        
+        const section = e.currentTarget;
+        const body = section.querySelector('.task-group-body');
+        if (!this.canDropInto(body)) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        
+        const dragging = document.querySelector('.dragging');
+        const afterElement = section.classList.contains('collapsed') ? null : this.getDragAfterElement(body, e.clientY);
+        body.insertBefore(dragging, afterElement || null);
+    }
+
+    // Only status groups can be changed by dragging; other groupings reorder within a group.
+    // Cards can always be moved into and out of Today.
+    canDropInto(container) {
+        if (this.groupBy === 'none' || this.groupBy === 'status') return true;
+        if (container.closest('.today-group') || this.dragSource?.container.closest('.today-group')) return true;
+        return container === this.dragSource?.container;
+    }
+
     handleDrop(e) {
         if (e.stopPropagation) {
             e.stopPropagation();
@@ -167,7 +2927,80 @@ class TaskManager {
 
     handleDragEnd(e) {
         e.target.classList.remove('dragging');
+        
+        const card = this.draggedElement;
+        const source = this.dragSource;
         this.draggedElement = null;
+        this.dragSource = null;
+        
+        const targetGroupId = card?.closest('.task-group')?.dataset.groupId;
+        
+        // Planning a task for today, or dropping it from the plan, leaves its status alone.
+        // Redrawing puts a card that left Today back into its own group.
+        if (source && (source.groupId === 'today') !== (targetGroupId === 'today')) {
+            this.renderTasks();
+            return;
+        }
+        
+        if (this.groupBy === 'status' && targetGroupId && targetGroupId !== source.groupId) {
+            this.updateGroupCounts();
+            this.moveToStatusGroup(card, targetGroupId, source);
+        }
+    }
+
+    // Dropping a card on another status group runs a transition into that category.
+    // When several transitions qualify, the first one without a screen wins.
+    async moveToStatusGroup(card, groupId, source) {
+        const task = this.tasks.find(t => t.uid === card.dataset.uid);
+        const group = STATUS_GROUPS.find(g => g.id === groupId);
+        
+        const putBack = (message) => {
+            const nextSibling = source.nextSibling?.parentNode === source.container ? source.nextSibling : null;
+            source.container.insertBefore(card, nextSibling);
+            this.updateGroupCounts();
+            this.updateTaskOrder();
+            
+            if (message) {
+                this.showCardError(card, message);
+            }
+        };
+        
+        if (!task) {
+            putBack();
+            return;
+        }
+        
+        if (task.isLocal) {
+            if (groupId === 'inprogress') {
+                putBack('Personal todos are either open or done.');
+                return;
+            }
+            
+            await this.localTodos.update(task.todoId, { done: groupId === 'done' });
+            this.refreshLocalTodos();
+            return;
+        }
+        
+        let transitions;
+        try {
+            transitions = await this.jiraApi.forTask(task).getTransitions(task.key);
+        } catch (error) {
+            putBack(error.message);
+            return;
+        }
+        
+        const candidates = transitions.filter(t => this.taskView.getStatusGroupId(t.to.category) === groupId);
+        const transition = candidates.find(t => t.requiredFields.length === 0) || candidates[0];
+        
+        if (!transition) {
+            putBack(`No transition moves ${task.key} to ${group.label} from ${task.status.name}.`);
+            return;
+        }
+        
+        if (!await this.performTransition(card, task, transition)) {
+            // performTransition has already explained the failure on the card
+            putBack();
+        }
     }
 
     getDragAfterElement(container, y) {
@@ -185,94 +3018,230 @@ class TaskManager {
         }, { offset: Number.NEGATIVE_INFINITY }).element;
     }
 
+    // Today's cards come first in the tab's order, so a task taken off the plan returns to the top.
+    // Snoozed tasks have no card and keep their place at the end.
     async updateTaskOrder() {
-        const cards = document.querySelectorAll('.task-card');
-        this.taskOrder = Array.from(cards).map(card => card.dataset.taskKey);
-        await this.saveTaskOrder();
+        const cards = Array.from(document.querySelectorAll('.task-card'));
+        const todayCards = document.querySelectorAll('.today-group .task-card');
+        const shown = cards.map(card => card.dataset.uid);
+        this.taskOrder = [...shown, ...this.taskOrder.filter(uid => !shown.includes(uid))];
+        
+        // Pinned cards only reorder among themselves; one dragged below an unpinned card, or the
+        // other way round, snaps back
+        const misplaced = cards.some(card => {
+            const previous = card.previousElementSibling;
+            return !card.closest('.today-group') && this.isPinned(card.dataset.uid)
+                && previous?.classList.contains('task-card') && !this.isPinned(previous.dataset.uid);
+        });
+        
+        await Promise.all([
+            this.saveTaskOrder(),
+            this.dailyPlan.arrange(Array.from(todayCards).map(card => card.dataset.uid), this.tasks.map(t => t.uid))
+        ]);
+        
+        if (misplaced) {
+            this.renderTasks();
+        }
     }
 
     async saveTaskOrder() {
+        this.taskOrders[this.activeQueryId] = this.taskOrder;
+        
         return new Promise((resolve) => {
-            chrome.storage.local.set({ taskOrder: this.taskOrder }, resolve);
+            chrome.storage.local.set({ taskOrders: this.taskOrders }, resolve);
         });
     }
 
     async loadTaskOrder() {
         return new Promise((resolve) => {
-            chrome.storage.local.get(['taskOrder'], (result) => {
-                this.taskOrder = result.taskOrder || [];
+            chrome.storage.local.get(['taskOrder', 'taskOrders', 'activeQueryId', 'pinnedTasks'], (result) => {
+                this.taskOrders = result.taskOrders || {};
+                this.pinnedUids = result.pinnedTasks || [];
+                
+                // Carry the single order saved before query tabs existed over to the first tab
+                if (result.taskOrder && Object.keys(this.taskOrders).length === 0) {
+                    this.taskOrders[this.queries[0].id] = result.taskOrder;
+                    chrome.storage.local.remove('taskOrder');
+                }
+                
+                // Orders saved before multiple connections existed hold bare issue keys
+                // from the first connection; issue keys never contain a colon
+                Object.keys(this.taskOrders).forEach(queryId => {
+                    this.taskOrders[queryId] = this.taskOrders[queryId]
+                        .map(key => key.includes(':') ? key : `default:${key}`);
+                });
+                chrome.storage.local.set({ taskOrders: this.taskOrders });
+                
+                if (this.queries.some(q => q.id === result.activeQueryId)) {
+                    this.activeQueryId = result.activeQueryId;
+                }
+                
+                this.taskOrder = this.taskOrders[this.activeQueryId] || [];
                 resolve();
             });
         });
     }
 
-    filterTasks(searchTerm) {
-        const cards = document.querySelectorAll('.task-card');
-        const term = searchTerm.toLowerCase();
+    applyFilters() {
+        let visibleCount = 0;
         
-        cards.forEach(card => {
-            const title = card.querySelector('.task-title').textContent.toLowerCase();
-            const key = card.dataset.taskKey.toLowerCase();
-            
-            if (title.includes(term) || key.includes(term)) {
-                card.style.display = '';
-            } else {
-                card.style.display = 'none';
-            }
+        document.querySelectorAll('.task-card').forEach(card => {
+            const task = this.tasks.find(t => t.uid === card.dataset.uid);
+            const visible = !task || this.taskView.matchesFilters(task, this.filters);
+            card.style.display = visible ? '' : 'none';
+            if (visible) visibleCount++;
+        });
+        
+        // Groups whose cards are all filtered out get out of the way; empty status groups stay as drop targets
+        document.querySelectorAll('.task-group').forEach(section => {
+            const cards = [...section.querySelectorAll('.task-card')];
+            section.classList.toggle('hidden', cards.length > 0 && cards.every(card => card.style.display === 'none'));
         });
+        
+        this.visibleCount = visibleCount;
+        this.updateTaskCount();
     }
 
-    filterByStatus(status) {
-        const cards = document.querySelectorAll('.task-card');
+    toggleFilterValue(dimensionId, value) {
+        const selected = this.filters[dimensionId];
+        const index = selected.indexOf(value);
         
-        cards.forEach(card => {
-            if (!status) {
-                card.style.display = '';
-                return;
-            }
+        if (index === -1) {
+            selected.push(value);
+        } else {
+            selected.splice(index, 1);
+        }
+        
+        this.saveFilters();
+        this.renderFilterPanel();
+        this.applyFilters();
+    }
+
+    clearFilters() {
+        this.filters = this.taskView.getEmptyFilters();
+        document.getElementById('searchInput').value = '';
+        
+        this.saveFilters();
+        this.renderFilterPanel();
+        this.applyFilters();
+    }
+
+    saveFilters() {
+        this.updateFilterCount();
+        chrome.storage.local.set({ taskFilters: this.filters });
+    }
+
+    updateFilterCount() {
+        const count = FILTER_DIMENSIONS.reduce((sum, dimension) => sum + this.filters[dimension.id].length, 0);
+        const countEl = document.getElementById('filterCount');
+        countEl.textContent = count;
+        countEl.classList.toggle('hidden', count === 0);
+    }
+
+    isFilterPanelOpen() {
+        return !document.getElementById('filterPanel').classList.contains('hidden');
+    }
+
+    toggleFilterPanel() {
+        const panel = document.getElementById('filterPanel');
+        const opening = panel.classList.contains('hidden');
+        
+        panel.classList.toggle('hidden', !opening);
+        document.getElementById('filterToggle').classList.toggle('active', opening);
+        
+        if (opening) {
+            this.renderFilterPanel();
+        }
+    }
+
+    renderFilterPanel() {
+        const panel = document.getElementById('filterPanel');
+        
+        const groups = FILTER_DIMENSIONS.map(dimension => {
+            const counts = new Map();
+            this.tasks.forEach(task => {
+                dimension.getValues(task, this.personalNotes).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+            });
             
-            const cardStatus = card.querySelector('.task-status').textContent.toLowerCase();
+            // Keep selections visible even when no loaded task has them any more, so they can be cleared
+            this.filters[dimension.id].forEach(value => {
+                if (!counts.has(value)) counts.set(value, 0);
+            });
             
-            if (status === 'todo' && cardStatus.includes('to do')) {
-                card.style.display = '';
-            } else if (status === 'inprogress' && cardStatus.includes('progress')) {
-                card.style.display = '';
-            } else if (status === 'review' && cardStatus.includes('review')) {
-                card.style.display = '';
-            } else {
-                card.style.display = 'none';
-            }
-        });
+            if (counts.size === 0) return '';
+            
+            const values = [...counts.keys()].sort((a, b) => dimension.id === 'priority'
+                ? this.jiraApi.getPriorityRank(b) - this.jiraApi.getPriorityRank(a)
+                : a.localeCompare(b));
+            
+            const chips = values.map(value => `
+                <button type="button" class="filter-chip ${this.filters[dimension.id].includes(value) ? 'active' : ''}"
+                    data-dimension="${dimension.id}" data-value="${this.escapeHtml(value)}">
+                    ${this.escapeHtml(value)}
+                    <span class="filter-chip-count">${counts.get(value)}</span>
+                </button>
+            `).join('');
+            
+            return `
+                <div class="filter-group">
+                    <div class="filter-group-title">${dimension.label}</div>
+                    <div class="filter-chips">${chips}</div>
+                </div>
+            `;
+        }).join('');
+        
+        panel.innerHTML = groups
+            ? `${groups}<button type="button" class="filter-clear" ${this.taskView.hasActiveFilters(this.filters) ? '' : 'disabled'}>Clear all filters</button>`
+            : '<p class="filter-empty">No tasks loaded to filter.</p>';
     }
 
     updateStats() {
-        const count = this.tasks.length;
-        document.getElementById('taskCount').textContent = `${count} task${count !== 1 ? 's' : ''}`;
+        this.updateTaskCount();
         
-        const now = new Date();
-        const timeStr = now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
-        document.getElementById('lastUpdate').textContent = `Updated ${timeStr}`;
+        if (!this.lastUpdated) return;
+        
+        const timeStr = new Date(this.lastUpdated).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const lastUpdate = document.getElementById('lastUpdate');
+        lastUpdate.textContent = this.isStale ? `Stale since ${timeStr}` : `Updated ${timeStr}`;
+        lastUpdate.classList.toggle('stale', this.isStale);
+        lastUpdate.title = this.isStale ? 'Showing the last tasks loaded - JIRA could not be reached' : '';
     }
 
-    setupAutoRefresh() {
-        chrome.storage.sync.get(['autoRefresh'], (result) => {
-            if (this.refreshInterval) {
-                clearInterval(this.refreshInterval);
-                this.refreshInterval = null;
-            }
-            
-            if (result.autoRefresh !== false) {
-                this.refreshInterval = setInterval(() => this.loadTasks(), 5 * 60 * 1000);
-            }
-        });
+    updateTaskCount() {
+        const count = this.tasks.filter(t => !this.snoozes.isSnoozed(t.uid)).length;
+        let text = `${count} task${count !== 1 ? 's' : ''}`;
+        
+        if (this.nextPage) {
+            // The JIRA total doesn't know about personal todos
+            const issueCount = this.tasks.filter(t => !t.isLocal).length;
+            text = this.totalTasks !== null
+                ? `Showing ${issueCount} of ${this.totalTasks} tasks`
+                : `Showing ${issueCount}+ tasks`;
+        }
+        
+        if (this.taskView.hasActiveFilters(this.filters)) {
+            text = `${this.visibleCount} matching · ${text}`;
+        }
+        
+        document.getElementById('taskCount').textContent = text;
+        
+        // Snoozes from every tab count here
+        const snoozed = this.snoozes.getCount();
+        const snoozedBtn = document.getElementById('snoozedBtn');
+        snoozedBtn.textContent = `${snoozed} snoozed`;
+        snoozedBtn.classList.toggle('hidden', snoozed === 0);
     }
 
     setupMessageListener() {
         // Listen for messages from background script
         chrome.runtime.onMessage.addListener((request, _sender, sendResponse) => {
             if (request.action === 'reload-tasks') {
-                // Message received for task reload
-                this.loadTasks(true).then(() => {
+                // Settings changed: queries and the card layout may differ, so cached cards
+                // are redrawn right away and then refreshed from JIRA
+                this.reloadQueries().then(() => this.loadCardLayout()).then(() => {
+                    this.renderTasks();
+                    return Promise.all([this.loadTasks(true), this.loadInbox()]);
+                }).then(() => {
                     sendResponse({ reloaded: true });
                 }).catch(error => {
                     console.error('Failed to reload tasks:', error.message);
@@ -280,6 +3249,13 @@ class TaskManager {
                 });
                 return true; // Indicates we will send a response asynchronously
             }
+            
+            if (request.action === 'tasks-polled') {
+                // Keep an open panel in step with what the background poll saw
+                this.refresh();
+                // Answering tells the background the changes were seen
+                sendResponse({ received: true });
+            }
         });
     }
 
@@ -288,9 +3264,22 @@ class TaskManager {
         document.getElementById('taskList').classList.toggle('hidden', show);
     }
 
-    showError(message) {
+    showRefreshing(refreshing) {
+        document.getElementById('refreshBtn').classList.toggle('spinning', refreshing);
+    }
+
+    // Request failures carry guidance on what to do about them, shown below the message
+    showError(message, guidance = '') {
         const errorEl = document.getElementById('errorMessage');
         errorEl.textContent = message;
+        
+        if (guidance) {
+            const guidanceEl = document.createElement('div');
+            guidanceEl.className = 'error-guidance';
+            guidanceEl.textContent = guidance;
+            errorEl.appendChild(guidanceEl);
+        }
+        
         errorEl.classList.remove('hidden');
     }
 
@@ -309,19 +3298,15 @@ class TaskManager {
     }
 
     getPriorityClass(priority) {
-        const p = priority.toLowerCase();
-        if (p.includes('highest') || p.includes('blocker')) return 'priority-highest';
-        if (p.includes('high') || p.includes('critical')) return 'priority-high';
-        if (p.includes('low') || p.includes('minor')) return 'priority-low';
-        if (p.includes('lowest') || p.includes('trivial')) return 'priority-lowest';
-        return 'priority-medium';
+        return `priority-${this.jiraApi.getPriorityLevel(priority)}`;
     }
 
     getStatusClass(category) {
-        const c = category.toLowerCase();
-        if (c.includes('done') || c.includes('complete')) return 'status-done';
-        if (c.includes('progress')) return 'status-in-progress';
-        return 'status-todo';
+        return {
+            done: 'status-done',
+            inprogress: 'status-in-progress',
+            todo: 'status-todo'
+        }[this.taskView.getStatusGroupId(category)];
     }
 
     escapeHtml(text) {
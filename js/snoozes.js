@@ -0,0 +1,72 @@
+// Tasks hidden from the list until a chosen time, shared with the service worker, which
+// wakes them with an alarm and can announce them with a notification. Entries live in
+// chrome.storage.local keyed by task uid and keep the key, summary and URL, so neither
+// the snoozed view nor the notification needs the task to be loaded.
+class Snoozes {
+    constructor() {
+        this.entries = {};
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['snoozedTasks'], (result) => {
+                this.entries = result.snoozedTasks || {};
+                resolve(this.entries);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ snoozedTasks: this.entries }, resolve);
+        });
+    }
+
+    // Checked against the clock, so a task shows again on time even if the alarm runs late
+    isSnoozed(uid, now = Date.now()) {
+        return (this.entries[uid]?.until || 0) > now;
+    }
+
+    getCount(now = Date.now()) {
+        return Object.values(this.entries).filter(entry => entry.until > now).length;
+    }
+
+    async snooze(task, until, notify) {
+        await this.load();
+        
+        this.entries[task.uid] = {
+            key: task.key,
+            summary: task.summary,
+            url: task.url || null,
+            until: until,
+            notify: notify,
+            snoozedAt: Date.now()
+        };
+        await this.save();
+    }
+
+    async wake(uid) {
+        await this.load();
+        delete this.entries[uid];
+        await this.save();
+    }
+
+    // Removes the entries whose time has come and returns them
+    async takeDue(now = Date.now()) {
+        await this.load();
+        
+        const due = Object.keys(this.entries).filter(uid => this.entries[uid].until <= now);
+        const woken = due.map(uid => ({ uid: uid, ...this.entries[uid] }));
+        due.forEach(uid => delete this.entries[uid]);
+        
+        if (due.length > 0) {
+            await this.save();
+        }
+        return woken;
+    }
+
+    getNextWake() {
+        const times = Object.values(this.entries).map(entry => entry.until);
+        return times.length > 0 ? Math.min(...times) : null;
+    }
+}
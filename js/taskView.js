@@ -0,0 +1,185 @@
+// Which tasks a tab shows, in what order and under which group. The side panel renders
+// from this and the task list export in the settings page reads the same rules, so an
+// export matches what the panel shows.
+
+// Status groups are always shown, even when empty, so cards can be dragged into them
+const STATUS_GROUPS = [
+    { id: 'todo', label: 'To Do', order: 0 },
+    { id: 'inprogress', label: 'In Progress', order: 1 },
+    { id: 'done', label: 'Done', order: 2 }
+];
+
+// Values of the panel's grouping and sorting selects
+const GROUP_BY_OPTIONS = ['none', 'status', 'priority', 'type', 'project', 'sprint', 'due'];
+const SORT_BY_OPTIONS = ['manual', 'due'];
+
+// Filter bar dimensions; options are built from the values present in the loaded tasks
+const FILTER_DIMENSIONS = [
+    { id: 'status', label: 'Status', getValues: task => [task.status.name] },
+    { id: 'priority', label: 'Priority', getValues: task => [task.priority.name] },
+    { id: 'type', label: 'Type', getValues: task => [task.type.name] },
+    { id: 'project', label: 'Project', getValues: task => task.project ? [`${task.project.name} (${task.project.key})`] : [] },
+    { id: 'label', label: 'Label', getValues: task => task.labels || [] },
+    { id: 'tag', label: 'My tags', getValues: (task, notes) => notes.getTags(task.uid) }
+];
+
+class TaskView {
+    constructor(jiraApi, personalNotes, docRenderer) {
+        this.jiraApi = jiraApi;
+        this.personalNotes = personalNotes;
+        this.docRenderer = docRenderer;
+        this.searchText = new Map();
+    }
+
+    /**
+     * Splits a tab's tasks into the Today section and the list below it. Today keeps the
+     * plan's order; the list follows the tab's manual order, or due date, with pinned tasks
+     * on top. Snoozed tasks are in neither until they wake.
+     */
+    arrange(tasks, { order, sortBy, plannedUids, pinnedUids, isSnoozed }) {
+        const shown = tasks.filter(task => !isSnoozed(task.uid));
+        const byUid = new Map(shown.map(task => [task.uid, task]));
+        const planned = new Set(plannedUids);
+        const position = new Map(order.map((uid, index) => [uid, index]));
+        const positionOf = (task) => position.get(task.uid) ?? order.length;
+        
+        const today = [...planned].map(uid => byUid.get(uid)).filter(Boolean);
+        const list = shown
+            .filter(task => !planned.has(task.uid))
+            .sort((a, b) => positionOf(a) - positionOf(b));
+        
+        if (sortBy === 'due') {
+            // Stable, so tasks due on the same day (or not at all) keep their manual order
+            list.sort((a, b) => (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31'));
+        }
+        
+        // Pinned tasks stay on top of the list, or of their group, whatever else comes in
+        list.sort((a, b) => pinnedUids.includes(b.uid) - pinnedUids.includes(a.uid));
+        
+        return { today, list };
+    }
+
+    // Groups in the order they're shown, each with its tasks in list order
+    group(tasks, groupBy) {
+        const groups = new Map();
+        
+        if (groupBy === 'status') {
+            STATUS_GROUPS.forEach(group => groups.set(group.id, { ...group, tasks: [] }));
+        }
+        
+        tasks.forEach(task => {
+            const group = this.getTaskGroup(task, groupBy);
+            if (!groups.has(group.id)) {
+                groups.set(group.id, { ...group, tasks: [] });
+            }
+            groups.get(group.id).tasks.push(task);
+        });
+        
+        return [...groups.values()].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+    }
+
+    // Returns the group a task falls into for a view: an id, a label and a sort order
+    getTaskGroup(task, groupBy) {
+        switch (groupBy) {
+            case 'status':
+                return STATUS_GROUPS.find(group => group.id === this.getStatusGroupId(task.status.category));
+            case 'priority':
+                return {
+                    id: task.priority.name,
+                    label: task.priority.name,
+                    order: -this.jiraApi.getPriorityRank(task.priority.name)
+                };
+            case 'type':
+                return { id: task.type.name, label: task.type.name, order: 0 };
+            case 'project': {
+                if (task.isLocal) {
+                    return { id: 'local', label: 'Personal todos', order: 1 };
+                }
+                const project = task.project || { key: task.key.split('-')[0], name: task.key.split('-')[0] };
+                // The same project key can exist on two connections
+                return { id: `${task.connectionId}:${project.key}`, label: `${project.name} (${project.key})`, order: 0 };
+            }
+            case 'sprint': {
+                if (!task.sprint) {
+                    return { id: 'none', label: 'No sprint', order: 3 };
+                }
+                const stateOrder = { active: 0, future: 1 }[task.sprint.state] ?? 2;
+                return { id: `${task.connectionId}:${task.sprint.name}`, label: task.sprint.name, order: stateOrder };
+            }
+            case 'due':
+                return this.getDueGroup(task.dueDate);
+            default:
+                return { id: 'all', label: 'All tasks', order: 0 };
+        }
+    }
+
+    getDueGroup(dueDate) {
+        if (!dueDate) {
+            return { id: 'none', label: 'No due date', order: 4 };
+        }
+        
+        // Due dates are plain YYYY-MM-DD days, so compare against local calendar days
+        const today = this.getLocalDay(new Date());
+        const weekAhead = new Date();
+        weekAhead.setDate(weekAhead.getDate() + 7);
+        
+        if (dueDate < today) return { id: 'overdue', label: 'Overdue', order: 0 };
+        if (dueDate === today) return { id: 'today', label: 'Due today', order: 1 };
+        if (dueDate <= this.getLocalDay(weekAhead)) return { id: 'week', label: 'Next 7 days', order: 2 };
+        return { id: 'later', label: 'Later', order: 3 };
+    }
+
+    getStatusGroupId(category) {
+        const c = category.toLowerCase();
+        if (c.includes('done') || c.includes('complete')) return 'done';
+        if (c.includes('progress')) return 'inprogress';
+        return 'todo';
+    }
+
+    getLocalDay(date) {
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 10);
+    }
+
+    getEmptyFilters() {
+        const filters = { search: '' };
+        FILTER_DIMENSIONS.forEach(dimension => { filters[dimension.id] = []; });
+        return filters;
+    }
+
+    hasActiveFilters(filters) {
+        return Boolean(filters.search.trim()) || FILTER_DIMENSIONS.some(d => filters[d.id].length > 0);
+    }
+
+    // Values are OR-ed within a dimension and dimensions are AND-ed together
+    matchesFilters(task, filters) {
+        const terms = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length > 0) {
+            const text = this.getSearchText(task);
+            if (!terms.every(term => text.includes(term))) return false;
+        }
+        
+        return FILTER_DIMENSIONS.every(dimension => {
+            const selected = filters[dimension.id];
+            return selected.length === 0 || dimension.getValues(task, this.personalNotes).some(value => selected.includes(value));
+        });
+    }
+
+    // Flattening a description is comparatively costly, so it's redone only when the issue
+    // or its personal notes change
+    getSearchText(task) {
+        const notesUpdated = this.personalNotes.get(task.uid)?.updated;
+        const cached = this.searchText.get(task.uid);
+        if (cached && cached.updated === task.updated && cached.notesUpdated === notesUpdated) return cached.text;
+        
+        const text = [
+            task.key,
+            task.summary,
+            this.docRenderer.getPlainText(task.description),
+            this.personalNotes.getSearchText(task.uid)
+        ].join(' ').toLowerCase();
+        
+        this.searchText.set(task.uid, { updated: task.updated, notesUpdated: notesUpdated, text: text });
+        return text;
+    }
+}
@@ -0,0 +1,143 @@
+// Per-issue work timers, kept in chrome.storage.local so they survive the panel
+// closing and browser restarts. Only one timer runs at a time. Entries are keyed
+// by task uid (connection id + issue key).
+class TimeTracker {
+    constructor() {
+        this.entries = {};
+    }
+
+    async load() {
+        return new Promise((resolve) => {
+            chrome.storage.local.get(['timeTracking'], (result) => {
+                this.entries = result.timeTracking || {};
+                
+                // Timers started before multiple connections existed are keyed by issue key alone
+                const legacyKeys = Object.keys(this.entries).filter(key => !key.includes(':'));
+                if (legacyKeys.length > 0) {
+                    legacyKeys.forEach(key => {
+                        this.entries[`default:${key}`] = { ...this.entries[key], key: key, connectionId: 'default' };
+                        delete this.entries[key];
+                    });
+                    this.save();
+                }
+                
+                resolve(this.entries);
+            });
+        });
+    }
+
+    async save() {
+        return new Promise((resolve) => {
+            chrome.storage.local.set({ timeTracking: this.entries }, resolve);
+        });
+    }
+
+    getRunningKey() {
+        return Object.keys(this.entries).find(key => this.entries[key].runningSince) || null;
+    }
+
+    isRunning(key) {
+        return Boolean(this.entries[key]?.runningSince);
+    }
+
+    getElapsed(key, now = Date.now()) {
+        const entry = this.entries[key];
+        if (!entry) return 0;
+        
+        const recorded = entry.sessions.reduce((sum, session) => sum + (session.end - session.start), 0);
+        return recorded + (entry.runningSince ? now - entry.runningSince : 0);
+    }
+
+    async start(task) {
+        await this.load();
+        
+        const runningKey = this.getRunningKey();
+        if (runningKey) {
+            this.stopEntry(runningKey);
+        }
+        
+        const entry = this.entries[task.uid] || { sessions: [] };
+        entry.key = task.key;
+        entry.connectionId = task.connectionId;
+        entry.summary = task.summary;
+        entry.url = task.url;
+        entry.runningSince = Date.now();
+        this.entries[task.uid] = entry;
+        
+        await this.save();
+    }
+
+    async stop(key) {
+        await this.load();
+        this.stopEntry(key);
+        await this.save();
+    }
+
+    stopEntry(key) {
+        const entry = this.entries[key];
+        if (!entry?.runningSince) return;
+        
+        entry.sessions.push({
+            id: `s${Date.now().toString(36)}`,
+            start: entry.runningSince,
+            end: Date.now()
+        });
+        entry.runningSince = null;
+    }
+
+    async updateSession(key, sessionId, changes) {
+        await this.load();
+        
+        const session = this.entries[key]?.sessions.find(s => s.id === sessionId);
+        if (!session) return;
+        
+        Object.assign(session, changes);
+        await this.save();
+    }
+
+    async removeSession(key, sessionId) {
+        await this.load();
+        
+        const entry = this.entries[key];
+        if (!entry) return;
+        
+        entry.sessions = entry.sessions.filter(s => s.id !== sessionId);
+        if (entry.sessions.length === 0 && !entry.runningSince) {
+            delete this.entries[key];
+        }
+        
+        await this.save();
+    }
+
+    getRecordedKeys() {
+        return Object.keys(this.entries).filter(key => this.entries[key].sessions.length > 0);
+    }
+
+    // h:mm:ss for the live card display
+    formatClock(ms) {
+        const totalSeconds = Math.floor(ms / 1000);
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor((totalSeconds % 3600) / 60);
+        const seconds = totalSeconds % 60;
+        
+        return `${hours}:${String(minutes).padStart(2, '0')}:${String(seconds).padStart(2, '0')}`;
+    }
+
+    // Rounded to whole minutes, as JIRA shows logged time
+    formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        const hours = Math.floor(minutes / 60);
+        
+        if (hours === 0) return `${minutes}m`;
+        return `${hours}h ${String(minutes % 60).padStart(2, '0')}m`;
+    }
+
+    // Short form that fits the four characters of the toolbar badge
+    formatBadge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 60) return `${minutes}m`;
+        
+        const hours = Math.floor(minutes / 60);
+        return hours < 10 ? `${hours}:${String(minutes % 60).padStart(2, '0')}` : `${hours}h`;
+    }
+}
\ No newline at end of file